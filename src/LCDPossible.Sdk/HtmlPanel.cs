@@ -1,4 +1,5 @@
 using System.Collections.Concurrent;
+using System.Text.Json;
 using System.Text.RegularExpressions;
 using LCDPossible.Core.Configuration;
 using LCDPossible.Core.Rendering;
@@ -109,11 +110,18 @@ public abstract class HtmlPanel : BasePanel, IAsyncDisposable
     /// </summary>
     protected string AssetsUri => PathToFileUri(AssetsPath);
 
+    /// <summary>
+    /// Gets the shared web component core (LcdElement base class and helpers).
+    /// Each component script carries it as well and it runs at most once per
+    /// page, so templates that only include a component script keep working.
+    /// </summary>
+    protected string CoreScript => _coreScript ??= WrapCoreScript(LoadAssetFile("js", "lcd-core.js", "// lcd-core.js not found"));
+
     /// <summary>
     /// Gets the inline JavaScript for web components.
     /// Reads from components.js and caches the content.
     /// </summary>
-    protected string ComponentsScript => _componentsScript ??= LoadAssetFile("js", "components.js", "// components.js not found");
+    protected string ComponentsScript => _componentsScript ??= CoreScript + LoadAssetFile("js", "components.js", "// components.js not found");
 
     /// <summary>
     /// Gets the inline theme CSS.
@@ -149,14 +157,15 @@ public abstract class HtmlPanel : BasePanel, IAsyncDisposable
     /// Gets the ECharts-based web components.
     /// Advanced gauge, donut, sparkline components using ECharts.
     /// </summary>
-    protected string EChartsComponentsScript => _echartsComponentsScript ??= LoadAssetFile("js", "echarts-components.js", "// echarts-components.js not found");
+    protected string EChartsComponentsScript => _echartsComponentsScript ??= CoreScript + LoadAssetFile("js", "echarts-components.js", "// echarts-components.js not found");
 
     /// <summary>
     /// Gets the DaisyUI-based web components.
     /// Components using DaisyUI's built-in radial-progress, progress, stat.
     /// </summary>
-    protected string DaisyUiComponentsScript => _daisyUiComponentsScript ??= LoadAssetFile("js", "daisyui-components.js", "// daisyui-components.js not found");
+    protected string DaisyUiComponentsScript => _daisyUiComponentsScript ??= CoreScript + LoadAssetFile("js", "daisyui-components.js", "// daisyui-components.js not found");
 
+    private static string? _coreScript;
     private static string? _componentsScript;
     private static string? _themeCss;
     private static string? _tailwindScript;
@@ -195,6 +204,18 @@ public abstract class HtmlPanel : BasePanel, IAsyncDisposable
 
     private bool _domReadyCalled;
 
+    /// <summary>
+    /// Wraps lcd-core.js so it runs only while LcdElement is undefined. The core's
+    /// top-level declarations can't be repeated in a second script tag, so it is
+    /// inserted as a script element of its own rather than inlined.
+    /// </summary>
+    private static string WrapCoreScript(string core) =>
+        "if (typeof LcdElement === 'undefined') {\n" +
+        "    const core = document.createElement('script');\n" +
+        $"    core.textContent = {JsonSerializer.Serialize(core)};\n" +
+        "    (document.head || document.documentElement).appendChild(core);\n" +
+        "}\n";
+
     private static string LoadAssetFile(string subfolder, string filename, string fallback)
     {
         var debug = Environment.GetEnvironmentVariable("LCDPOSSIBLE_DEBUG") == "1";
@@ -628,6 +649,9 @@ public abstract class HtmlPanel : BasePanel, IAsyncDisposable
         scriptObject["assets_path"] = AssetsUri;
         scriptObject["assets"] = AssetsUri;
 
+        // Add shared web component core (must precede the component scripts)
+        scriptObject["core_script"] = CoreScript;
+
         // Add inline JavaScript for web components
         scriptObject["components_script"] = ComponentsScript;
 
@@ -912,6 +936,35 @@ public abstract class HtmlPanel : BasePanel, IAsyncDisposable
 
             // Inject the new body content and update panel data
             await Page.EvaluateFunctionAsync(@"(bodyContent, data) => {
+                // When the layout is unchanged, copy new attributes onto the existing
+                // lcd-* elements instead of recreating them. Components keep their
+                // state (tweens, history) and only re-render what changed.
+                const patchWidgets = (grid, newGrid) => {
+                    if (typeof lcdPatchAttributes !== 'function') return false;
+                    const oldWidgets = Array.from(grid.children);
+                    const newWidgets = Array.from(newGrid.children);
+                    if (oldWidgets.length !== newWidgets.length) return false;
+                    // Same layout means identical wrapper attributes (col-span-*, style...)
+                    // both ways, so a span or class dropped from a widget isn't kept
+                    const sameAttributes = (a, b) => a.attributes.length === b.attributes.length &&
+                        Array.from(b.attributes).every(attr => a.getAttribute(attr.name) === attr.value);
+                    if (!newWidgets.every((widget, i) => sameAttributes(oldWidgets[i], widget))) return false;
+
+                    newWidgets.forEach((widget, i) => {
+                        const oldEl = oldWidgets[i].firstElementChild;
+                        const newEl = widget.firstElementChild;
+                        const isComponent = oldEl && newEl && oldEl.localName === newEl.localName &&
+                            newEl.localName.startsWith('lcd-') &&
+                            oldWidgets[i].childElementCount === 1 && widget.childElementCount === 1;
+                        if (isComponent) {
+                            lcdPatchAttributes(oldEl, newEl);
+                        } else {
+                            oldWidgets[i].innerHTML = widget.innerHTML;
+                        }
+                    });
+                    return true;
+                };
+
                 // Update the body's inner HTML with new widget content
                 // This preserves <script> elements that are already loaded
                 const body = document.body;
@@ -923,7 +976,7 @@ public abstract class HtmlPanel : BasePanel, IAsyncDisposable
                         const parser = new DOMParser();
                         const doc = parser.parseFromString('<body>' + bodyContent + '</body>', 'text/html');
                         const newGrid = doc.body.querySelector('.grid');
-                        if (newGrid) {
+                        if (newGrid && !patchWidgets(gridContainer, newGrid)) {
                             gridContainer.innerHTML = newGrid.innerHTML;
                         }
                     }
@@ -1103,6 +1156,58 @@ public abstract class HtmlPanel : BasePanel, IAsyncDisposable
         await CallThemeHookAsync("onTransitionEnd");
     }
 
+    /// <summary>
+    /// Appends samples to the sparkline elements matching a CSS selector
+    /// (any element with a pushMany method), without re-sending their full history.
+    /// </summary>
+    /// <param name="selector">CSS selector, e.g. "#cpu-history" or "lcd-echarts-sparkline".</param>
+    /// <param name="values">Samples to append, oldest first.</param>
+    protected async Task PushSamplesAsync(string selector, params double[] values)
+    {
+        if (Page == null || values.Length == 0) return;
+
+        try
+        {
+            await Page.EvaluateFunctionAsync(@"(selector, values) => {
+                document.querySelectorAll(selector).forEach(el => {
+                    if (typeof el.pushMany === 'function') {
+                        el.pushMany(values);
+                    }
+                });
+            }", selector, values);
+        }
+        catch (Exception ex)
+        {
+            _staticLogger?.LogDebug(ex, "[{PanelId}] Failed to push samples to '{Selector}'", PanelId, selector);
+        }
+    }
+
+    /// <summary>
+    /// Appends entries to the log-tail elements matching a CSS selector
+    /// (any element with an appendMany method), without re-sending the whole log.
+    /// </summary>
+    /// <param name="selector">CSS selector, e.g. "#events" or "lcd-log-tail".</param>
+    /// <param name="entries">Entries to append, oldest first: strings or objects with message, severity and time.</param>
+    protected async Task AppendLogAsync(string selector, params object[] entries)
+    {
+        if (Page == null || entries.Length == 0) return;
+
+        try
+        {
+            await Page.EvaluateFunctionAsync(@"(selector, entries) => {
+                document.querySelectorAll(selector).forEach(el => {
+                    if (typeof el.appendMany === 'function') {
+                        el.appendMany(entries);
+                    }
+                });
+            }", selector, entries);
+        }
+        catch (Exception ex)
+        {
+            _staticLogger?.LogDebug(ex, "[{PanelId}] Failed to append log entries to '{Selector}'", PanelId, selector);
+        }
+    }
+
     /// <summary>
     /// Calls a page effect lifecycle hook if it exists.
     /// </summary>
@@ -264,6 +264,9 @@ public abstract class WidgetPanel : HtmlPanel
             "echarts-donut" => RenderEChartsComponent("lcd-echarts-donut", propsToUse),
             "echarts-sparkline" => RenderEChartsComponent("lcd-echarts-sparkline", propsToUse),
             "echarts-progress" => RenderEChartsComponent("lcd-echarts-progress", propsToUse),
+            "echarts-multiline" => RenderEChartsComponent("lcd-echarts-multiline", propsToUse),
+            "echarts-radar" => RenderEChartsComponent("lcd-echarts-radar", propsToUse),
+            "history-chart" or "lcd-history-chart" => RenderEChartsComponent("lcd-history-chart", propsToUse),
 
             // New DaisyUI-based web components (client-side rendered)
             "daisy-gauge" => RenderDaisyComponent("lcd-daisy-gauge", propsToUse),
@@ -730,6 +733,7 @@ public abstract class WidgetPanel : HtmlPanel
         {{{{ end }}}}
     </div>
     <!-- Web Components (loaded after DOM) -->
+    <script>{{{{ core_script }}}}</script>
     <script>{{{{ daisyui_components_script }}}}</script>
     <script>{{{{ echarts_components_script }}}}</script>
     <!-- Theme-specific JavaScript with lifecycle hooks -->
@@ -2,7 +2,7 @@
  * LCDPossible Web Components
  * Vanilla JavaScript web components for panel rendering.
  * All components are responsive and scale based on container/viewport size.
- * No external dependencies required.
+ * Requires lcd-core.js (LcdElement base class) to be loaded first.
  */
 
 // Helper to get CSS variable value
@@ -10,19 +10,20 @@ function getCssVar(name) {
     return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
 }
 
-// Helper to get usage color based on percentage
-function getUsageColor(percentage) {
-    if (percentage >= 90) return getCssVar('--color-usage-critical') || '#ff4444';
-    if (percentage >= 70) return getCssVar('--color-usage-high') || '#ffaa00';
-    if (percentage >= 50) return getCssVar('--color-usage-medium') || '#ffff00';
-    return getCssVar('--color-usage-low') || '#00ff88';
+// Helper to get usage color based on percentage (see LCD_THRESHOLD_PROFILES in lcd-core.js)
+function getUsageColor(percentage, thresholds = 'usage') {
+    return lcdThresholdColor(percentage, thresholds, 'usage');
 }
 
 // Helper to get temperature color
-function getTempColor(celsius) {
-    if (celsius >= 85) return getCssVar('--color-temp-hot') || '#ff4444';
-    if (celsius >= 70) return getCssVar('--color-temp-warm') || '#ffaa00';
-    return getCssVar('--color-temp-cool') || '#00d4ff';
+function getTempColor(celsius, thresholds = 'cpu-temp') {
+    return lcdThresholdColor(celsius, thresholds, 'cpu-temp');
+}
+
+// Markup for an `icon` prop: the registered icon, or the text itself (e.g. an emoji)
+function lcdIconSlot(name, className = 'lcd-icon') {
+    if (!name) return '';
+    return lcdHtml`<span class="${className}">${lcdIcon(name) || name}</span>`;
 }
 
 /**
@@ -35,63 +36,395 @@ function getTempColor(celsius) {
  *   color - Color override (or uses auto based on value)
  *   orientation - "horizontal" (default) or "vertical"
  *   show-percent - Show percentage text (default: true)
+ *   format, decimals, unit-system, locale - Text format, default "percent" (see formatOptions() in lcd-core.js)
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage")
+ *   duration - Animation duration in ms when the value changes (default: 500, 0 disables)
+ *   easing - "ease-out" (default), "ease-in", "ease-in-out" or "linear"
+ *   peak-hold - Seconds a peak marker holds the recent maximum before dropping (true means 1.5)
+ *   peak-decay - Speed of the peak marker's drop in percent per second (default: 50)
+ *   average - Show a rolling-average tick over this many seconds (true means 30)
  */
-class LcdUsageBar extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdUsageBar extends LcdElement {
+    constructor() {
+        super();
+        this._tweens = new LcdTweens(this);
+        this._thresholds = new LcdThresholds(this);
+        this._levelMarkers = new LcdLevelMarkers(this);
     }
 
     static get observedAttributes() {
-        return ['value', 'max', 'label', 'color', 'orientation', 'show-percent', 'props'];
+        return ['value', 'max', 'label', 'color', 'orientation', 'show-percent', 'thresholds', 'duration', 'easing',
+            'peak-hold', 'peak-decay', 'average', 'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        this.render();
+    onDisconnect() {
+        this._tweens.finish();
+        this._levelMarkers.cancel();
     }
 
     render() {
-        // Parse props if provided as JSON
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-
-        const value = parseFloat(props.value ?? this.getAttribute('value') ?? 0);
-        const max = parseFloat(props.max ?? this.getAttribute('max') ?? 100);
-        const label = props.label ?? this.getAttribute('label') ?? '';
-        const color = props.color ?? this.getAttribute('color');
-        const orientation = props.orientation ?? this.getAttribute('orientation') ?? 'horizontal';
-        const showPercent = (props.showPercent ?? props.show_percent ?? this.getAttribute('show-percent')) !== 'false';
-
-        const percentage = Math.min(100, Math.max(0, (value / max) * 100));
-        const fillColor = color || getUsageColor(percentage);
+        const value = this.numberProp('value', 0);
+        const max = this.numberProp('max', 100);
+        const label = this.prop('label', '');
+        const color = lcdSafeColor(this.prop('color'));
+        const orientation = this.prop('orientation', 'horizontal');
+        const showPercent = this.boolProp('showPercent', true);
+
+        const target = Math.min(100, Math.max(0, (value / max) * 100));
+        const percentage = this._tweens.value('percentage', target);
+        const fillColor = color || this._thresholds.color(percentage / 100 * max, percentage, 'usage');
+        const valueText = this.formatPercentage(percentage, max);
+
+        // Peak-hold and rolling-average ticks track the target, not the tween
+        const { peak, fall, average } = this._levelMarkers.read(target);
+        const side = orientation === 'vertical' ? 'bottom' : 'left';
+        const markers = lcdHtml`
+            ${peak !== null ? lcdHtml`<div class="lcd-bar-peak" style="${side}:${peak}%;transition-duration:${fall}s;background:${color || this._thresholds.color(peak / 100 * max, peak, 'usage')};"></div>` : ''}
+            ${average !== null ? lcdHtml`<div class="lcd-bar-avg" style="${side}:${average}%;"></div>` : ''}
+        `;
 
         if (orientation === 'vertical') {
-            this.innerHTML = `
+            return lcdHtml`
                 <div class="lcd-usage-bar-vertical">
-                    ${label ? `<span class="lcd-bar-label">${label}</span>` : ''}
+                    ${label ? lcdHtml`<span class="lcd-bar-label">${label}</span>` : ''}
                     <div class="lcd-bar-track-v">
                         <div class="lcd-bar-fill-v" style="height:${percentage}%;background:${fillColor};"></div>
+                        ${markers}
                     </div>
-                    ${showPercent ? `<span class="lcd-bar-value">${Math.round(percentage)}%</span>` : ''}
+                    ${showPercent ? lcdHtml`<span class="lcd-bar-value">${valueText}</span>` : ''}
                 </div>
             `;
         } else {
-            this.innerHTML = `
+            return lcdHtml`
                 <div class="lcd-usage-bar-horizontal">
-                    ${label ? `<div class="lcd-bar-header">
+                    ${label ? lcdHtml`<div class="lcd-bar-header">
                         <span class="lcd-bar-label">${label}</span>
-                        ${showPercent ? `<span class="lcd-bar-value">${Math.round(percentage)}%</span>` : ''}
+                        ${showPercent ? lcdHtml`<span class="lcd-bar-value">${valueText}</span>` : ''}
                     </div>` : ''}
                     <div class="lcd-bar-track-h">
                         <div class="lcd-bar-fill-h" style="width:${percentage}%;background:${fillColor};"></div>
+                        ${markers}
+                    </div>
+                    ${!label && showPercent ? lcdHtml`<span class="lcd-bar-value-center">${valueText}</span>` : ''}
+                </div>
+            `;
+        }
+    }
+}
+
+// Segment colors for <lcd-stacked-bar> when a segment doesn't set its own
+const LCD_SEGMENT_COLORS = [
+    'var(--color-accent)',
+    'var(--color-accent-secondary)',
+    'var(--color-info)',
+    'var(--color-success)',
+    'var(--color-warning)',
+    'var(--color-critical)'
+];
+
+/**
+ * <lcd-stacked-bar> - Bar split into labelled segments (e.g. RAM used/cached/free)
+ *
+ * Attributes:
+ *   label - Optional label text
+ *   segments - JSON array of {label, value, color?} objects, drawn in order
+ *   max - Scale of the full bar (default: sum of the segments); any remainder is empty track
+ *   orientation - "horizontal" (default) or "vertical"
+ *   legend - "inline" (default: legend below the bar), "labels" (text inside each
+ *            segment; segments narrower than label-min move to the legend) or "none"
+ *   label-min - Smallest segment share, in percent, that keeps its inside label (default: 12)
+ *   show-total - Show the segment total (and max when set) (default: true)
+ *   format, decimals, unit-system, locale - Value format, default "number" (see formatOptions() in lcd-core.js)
+ */
+class LcdStackedBar extends LcdElement {
+    static get observedAttributes() {
+        return ['label', 'segments', 'max', 'orientation', 'legend', 'label-min', 'show-total',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
+    }
+
+    render() {
+        const label = this.prop('label', '');
+        const orientation = this.prop('orientation', 'horizontal');
+        const legend = this.prop('legend', 'inline');
+        const labelMin = this.numberProp('labelMin', 12);
+        const showTotal = this.boolProp('showTotal', true);
+
+        let segments = this.jsonProp('segments', []);
+        if (!Array.isArray(segments)) segments = [];
+        segments = segments
+            .filter(segment => segment && typeof segment === 'object')
+            .map((segment, i) => ({
+                label: String(segment.label ?? ''),
+                value: Math.max(0, Number(segment.value) || 0),
+                color: lcdSafeColor(segment.color, LCD_SEGMENT_COLORS[i % LCD_SEGMENT_COLORS.length])
+            }));
+
+        const total = segments.reduce((sum, segment) => sum + segment.value, 0);
+        const maxProp = this.numberProp('max', null);
+        const max = maxProp > 0 ? Math.max(maxProp, total) : total;
+        for (const segment of segments) {
+            segment.percentage = max > 0 ? (segment.value / max) * 100 : 0;
+            segment.text = this.formatValue(segment.value);
+            segment.inside = legend === 'labels' && segment.percentage >= labelMin;
+        }
+
+        const totalText = maxProp > 0
+            ? `${this.formatValue(total)} / ${this.formatValue(maxProp)}`
+            : this.formatValue(total);
+        const vertical = orientation === 'vertical';
+        const sizeProp = vertical ? 'height' : 'width';
+
+        const segmentsHtml = segments.map(segment => lcdHtml`
+            <div class="lcd-stacked-segment" style="${sizeProp}:${segment.percentage}%;background:${segment.color};" title="${segment.label}: ${segment.text}">
+                ${segment.inside ? lcdHtml`<span class="lcd-stacked-segment-label">${segment.label} ${segment.text}</span>` : ''}
+            </div>
+        `);
+
+        // Collapsed inside labels fall back to the legend
+        const legendItems = legend === 'none' ? [] : segments.filter(segment => !segment.inside);
+        const legendHtml = legendItems.length > 0 ? lcdHtml`
+            <div class="lcd-stacked-legend">
+                ${legendItems.map(segment => lcdHtml`
+                    <span class="lcd-stacked-legend-item">
+                        <span class="lcd-stacked-swatch" style="background:${segment.color};"></span>
+                        <span class="lcd-stacked-legend-label">${segment.label}</span>
+                        <span class="lcd-stacked-legend-value">${segment.text}</span>
+                    </span>
+                `)}
+            </div>
+        ` : '';
+
+        if (vertical) {
+            return lcdHtml`
+                <div class="lcd-usage-bar-vertical lcd-stacked-bar lcd-stacked-bar-vertical">
+                    ${label ? lcdHtml`<span class="lcd-bar-label">${label}</span>` : ''}
+                    <div class="lcd-bar-track-v lcd-stacked-track">
+                        ${segmentsHtml}
                     </div>
-                    ${!label && showPercent ? `<span class="lcd-bar-value-center">${Math.round(percentage)}%</span>` : ''}
+                    ${showTotal ? lcdHtml`<span class="lcd-bar-value">${totalText}</span>` : ''}
+                    ${legendHtml}
+                </div>
+            `;
+        }
+
+        return lcdHtml`
+            <div class="lcd-usage-bar-horizontal lcd-stacked-bar lcd-stacked-bar-horizontal">
+                ${label || showTotal ? lcdHtml`<div class="lcd-bar-header">
+                    <span class="lcd-bar-label">${label}</span>
+                    ${showTotal ? lcdHtml`<span class="lcd-bar-value">${totalText}</span>` : ''}
+                </div>` : ''}
+                <div class="lcd-bar-track-h lcd-stacked-track">
+                    ${segmentsHtml}
+                </div>
+                ${legendHtml}
+            </div>
+        `;
+    }
+}
+
+/**
+ * <lcd-segment-bar> - Stepped LED ladder
+ *
+ * Attributes:
+ *   value - Current value
+ *   max - Maximum value (default: 100)
+ *   segments - Number of LEDs (default: 20)
+ *   label - Optional label text
+ *   orientation - "horizontal" (default) or "vertical"
+ *   show-value - Show the value text (default: true)
+ *   color - Single color for every LED (default: each LED takes the threshold color of its position)
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage")
+ *   format, decimals, unit-system, locale - Text format, default "percent" (see formatOptions() in lcd-core.js)
+ *
+ * Unlit LEDs stay visible at --lcd-segment-ghost opacity (default: 0.12).
+ */
+class LcdSegmentBar extends LcdElement {
+    constructor() {
+        super();
+        this._thresholds = new LcdThresholds(this);
+    }
+
+    static get observedAttributes() {
+        return ['value', 'max', 'segments', 'label', 'orientation', 'show-value', 'color', 'thresholds',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
+    }
+
+    render() {
+        const value = this.numberProp('value', 0);
+        const max = this.numberProp('max', 100);
+        const count = Math.max(1, Math.min(100, Math.round(this.numberProp('segments', 20))));
+        const label = this.prop('label', '');
+        const orientation = this.prop('orientation', 'horizontal');
+        const showValue = this.boolProp('showValue', true);
+        const color = lcdSafeColor(this.prop('color'));
+
+        const percentage = Math.min(100, Math.max(0, (value / max) * 100));
+        const lit = Math.round(percentage / 100 * count);
+
+        // Each LED is colored by the level at its top edge, like a VU meter
+        const leds = Array.from({ length: count }, (_, i) => {
+            const edge = (i + 1) / count * 100;
+            const ledColor = color || this._thresholds.color(edge / 100 * max, edge, 'usage');
+            return lcdHtml`<span class="lcd-segment ${i < lit ? 'lcd-segment-lit' : ''}" style="--lcd-segment-color:${ledColor};"></span>`;
+        });
+        const valueText = this.formatPercentage(percentage, max);
+
+        if (orientation === 'vertical') {
+            return lcdHtml`
+                <div class="lcd-segment-bar lcd-segment-bar-vertical">
+                    ${label ? lcdHtml`<span class="lcd-bar-label">${label}</span>` : ''}
+                    <div class="lcd-segment-track">${leds}</div>
+                    ${showValue ? lcdHtml`<span class="lcd-bar-value">${valueText}</span>` : ''}
                 </div>
             `;
         }
+
+        return lcdHtml`
+            <div class="lcd-segment-bar lcd-segment-bar-horizontal">
+                ${label || showValue ? lcdHtml`<div class="lcd-bar-header">
+                    <span class="lcd-bar-label">${label}</span>
+                    ${showValue ? lcdHtml`<span class="lcd-bar-value">${valueText}</span>` : ''}
+                </div>` : ''}
+                <div class="lcd-segment-track">${leds}</div>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Seven-segment glyphs: the lit segments for each character. Segments are
+ * named the usual way: a (top), b (top right), c (bottom right), d (bottom),
+ * e (bottom left), f (top left), g (middle).
+ */
+const LCD_SEVEN_SEGMENT_GLYPHS = {
+    '0': 'abcdef', '1': 'bc', '2': 'abdeg', '3': 'abcdg', '4': 'bcfg',
+    '5': 'acdfg', '6': 'acdefg', '7': 'abc', '8': 'abcdefg', '9': 'abcdfg',
+    '-': 'g', '_': 'd', '=': 'dg', '°': 'abfg', ' ': '',
+    'A': 'abcefg', 'b': 'cdefg', 'C': 'adef', 'c': 'deg', 'd': 'bcdeg',
+    'E': 'adefg', 'F': 'aefg', 'G': 'acdef', 'H': 'bcefg', 'h': 'cefg',
+    'I': 'ef', 'J': 'bcde', 'L': 'def', 'n': 'ceg', 'o': 'cdeg',
+    'P': 'abefg', 'r': 'eg', 'S': 'acdfg', 't': 'defg', 'U': 'bcdef',
+    'u': 'cde', 'y': 'bcdfg'
+};
+
+// Segment outlines for one 70x100 digit cell (the decimal point sits in the last 14 units)
+const LCD_SEVEN_SEGMENT_SHAPES = (() => {
+    const t = 10;
+    const h = t / 2;
+    const horizontal = (x1, x2, y) =>
+        `${x1},${y} ${x1 + h},${y - h} ${x2 - h},${y - h} ${x2},${y} ${x2 - h},${y + h} ${x1 + h},${y + h}`;
+    const vertical = (x, y1, y2) =>
+        `${x},${y1} ${x + h},${y1 + h} ${x + h},${y2 - h} ${x},${y2} ${x - h},${y2 - h} ${x - h},${y1 + h}`;
+    const [left, right, top, middle, bottom, gap] = [8, 52, 8, 50, 92, 1.5];
+    return {
+        a: horizontal(left + gap, right - gap, top),
+        b: vertical(right, top + gap, middle - gap),
+        c: vertical(right, middle + gap, bottom - gap),
+        d: horizontal(left + gap, right - gap, bottom),
+        e: vertical(left, middle + gap, bottom - gap),
+        f: vertical(left, top + gap, middle - gap),
+        g: horizontal(left + gap, right - gap, middle)
+    };
+})();
+
+const LCD_SEVEN_SEGMENT_CELL = 70;
+const LCD_SEVEN_SEGMENT_COLON = 24;
+
+/**
+ * <lcd-seven-segment> - Value drawn as SVG seven-segment digits
+ *
+ * Attributes:
+ *   value - Number or text; digits, "-", ":", "." and the letters in
+ *           LCD_SEVEN_SEGMENT_GLYPHS are drawn, anything else is blank
+ *   digits - Minimum number of digit cells; shorter values are padded on the left (default: 0)
+ *   label - Optional label text
+ *   color - Lit segment color (default: accent color)
+ *   thresholds - Color numeric values by threshold profile, breakpoint array or object
+ *                (used when color is not set)
+ *   max - Maximum value for percentage-based thresholds (default: 100)
+ *   format, decimals, unit-system, locale - Value format, default "raw" (see formatOptions() in lcd-core.js)
+ *
+ * Unlit segments are drawn as a ghosted "8" at --lcd-segment-ghost opacity (default: 0.12).
+ */
+class LcdSevenSegment extends LcdElement {
+    constructor() {
+        super();
+        this._thresholds = new LcdThresholds(this);
+    }
+
+    static get observedAttributes() {
+        return ['value', 'digits', 'label', 'color', 'thresholds', 'max',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
+    }
+
+    // Split text into cells: { glyph, dot } for digits, { colon } for ":"
+    _cells(text) {
+        const cells = [];
+        for (const char of text) {
+            if (char === '.' || char === ',') {
+                const last = cells[cells.length - 1];
+                if (last && !last.colon && !last.dot) last.dot = true;
+                else cells.push({ glyph: '', dot: true });
+            } else if (char === ':') {
+                cells.push({ colon: true });
+            } else {
+                const glyph = LCD_SEVEN_SEGMENT_GLYPHS[char]
+                    ?? LCD_SEVEN_SEGMENT_GLYPHS[char.toUpperCase()]
+                    ?? LCD_SEVEN_SEGMENT_GLYPHS[char.toLowerCase()]
+                    ?? '';
+                cells.push({ glyph, dot: false });
+            }
+        }
+        return cells;
+    }
+
+    render() {
+        const raw = this.prop('value', '');
+        const label = this.prop('label', '');
+        const max = this.numberProp('max', 100);
+        // Always "." for decimals; digit grouping separators would read as decimal points
+        const { value, unit } = lcdFormatParts(raw, { ...this.formatOptions({ format: 'raw' }), locale: 'en-US' });
+        const drawable = [...String(unit ?? '')].every(char => char in LCD_SEVEN_SEGMENT_GLYPHS);
+        const text = `${value}${drawable ? unit ?? '' : ''}`.replace(/,/g, '');
+
+        const cells = this._cells(text);
+        const digits = Math.min(32, Math.round(this.numberProp('digits', 0)));
+        while (cells.filter(cell => !cell.colon).length < digits) cells.unshift({ glyph: '', dot: false });
+
+        let color = lcdSafeColor(this.prop('color'));
+        const number = parseFloat(raw);
+        if (!color && this.prop('thresholds') && Number.isFinite(number)) {
+            color = this._thresholds.color(number, Math.min(100, Math.max(0, number / max * 100)), 'usage');
+        }
+
+        let x = 0;
+        const ghost = [];
+        const lit = [];
+        for (const cell of cells) {
+            if (cell.colon) {
+                const dots = lcdHtml`<circle cx="${x + 12}" cy="32" r="5"/><circle cx="${x + 12}" cy="68" r="5"/>`;
+                ghost.push(dots);
+                lit.push(dots);
+                x += LCD_SEVEN_SEGMENT_COLON;
+                continue;
+            }
+            ghost.push(lcdHtml`<g transform="translate(${x} 0)">${Object.values(LCD_SEVEN_SEGMENT_SHAPES).map(points => lcdHtml`<polygon points="${points}"/>`)}<circle cx="62" cy="92" r="5"/></g>`);
+            if (cell.glyph || cell.dot) {
+                lit.push(lcdHtml`<g transform="translate(${x} 0)">${[...cell.glyph].map(name => lcdHtml`<polygon points="${LCD_SEVEN_SEGMENT_SHAPES[name]}"/>`)}${cell.dot ? lcdHtml`<circle cx="62" cy="92" r="5"/>` : ''}</g>`);
+            }
+            x += LCD_SEVEN_SEGMENT_CELL;
+        }
+        const width = Math.max(x, LCD_SEVEN_SEGMENT_CELL);
+
+        return lcdHtml`
+            <div class="lcd-seven-segment" style="${color ? `--lcd-segment-color:${color};` : ''}">
+                ${label ? lcdHtml`<span class="lcd-seven-segment-label">${label}</span>` : ''}
+                <svg class="lcd-seven-segment-svg" viewBox="-4 0 ${width + 4} 100" preserveAspectRatio="xMidYMid meet" role="img" aria-label="${text}">
+                    <g class="lcd-seven-segment-ghost">${ghost}</g>
+                    <g class="lcd-seven-segment-lit">${lit}</g>
+                </svg>
+            </div>
+        `;
     }
 }
 
@@ -101,39 +434,48 @@ class LcdUsageBar extends HTMLElement {
  * Attributes:
  *   title - Card title
  *   value - Main value to display
- *   unit - Unit suffix (e.g., "%", "°C", "GB")
+ *   unit - Unit suffix (e.g., "%", "°C", "GB"); formats that carry a unit replace it
  *   subtitle - Secondary text below value
- *   icon - Icon name (for future use)
+ *   icon - Icon shown before the title (see <lcd-icon>)
  *   status - "success", "warning", "critical" for color coding
  *   size - "small", "medium" (default), "large"
+ *   fit - Keep long text on one line: "shrink" (smaller font), "marquee" (scroll) or "ellipsis"
+ *   trend - Show the change under the value: seconds (or "5m") to measure it over,
+ *           or true for the change since the previous value
+ *   trend-mode - "absolute" (default) or "percent"
+ *   trend-good - "up" or "down" colors the change green or red by direction (default: neutral)
+ *   format, decimals, unit-system, locale - Value format, default "raw" (see formatOptions() in lcd-core.js)
  */
-class LcdStatCard extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdStatCard extends LcdElement {
+    constructor() {
+        super();
+        this._trend = new LcdTrendDelta(this);
+        this._fit = new LcdFit(this);
     }
 
     static get observedAttributes() {
-        return ['title', 'value', 'unit', 'subtitle', 'icon', 'status', 'size', 'props'];
+        return ['title', 'value', 'unit', 'subtitle', 'icon', 'status', 'size', 'fit',
+            'trend', 'trend-mode', 'trend-good', 'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        this.render();
+    onDisconnect() {
+        this._fit.disconnect();
     }
 
-    render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
+    update() {
+        super.update();
+        this._fit.apply();
+    }
 
-        const title = props.title ?? this.getAttribute('title') ?? '';
-        const value = props.value ?? this.getAttribute('value') ?? '';
-        const unit = props.unit ?? this.getAttribute('unit') ?? '';
-        const subtitle = props.subtitle ?? this.getAttribute('subtitle') ?? '';
-        const status = props.status ?? this.getAttribute('status') ?? '';
-        const size = props.size ?? this.getAttribute('size') ?? 'medium';
+    render() {
+        const title = this.prop('title', '');
+        const { value, unit: formattedUnit } = this.formatParts(this.prop('value', ''), { format: 'raw' });
+        const unit = formattedUnit || this.prop('unit', '');
+        const subtitle = this.prop('subtitle', '');
+        const icon = this.prop('icon', '');
+        const status = this.prop('status', '');
+        const size = this.prop('size', 'medium');
+        const trend = this._trend.read(this.prop('value', ''));
 
         let valueColor = 'var(--color-text-primary)';
         if (status === 'success') valueColor = 'var(--color-success)';
@@ -142,14 +484,15 @@ class LcdStatCard extends HTMLElement {
 
         const sizeClass = `lcd-stat-card-${size}`;
 
-        this.innerHTML = `
+        return lcdHtml`
             <div class="lcd-stat-card ${sizeClass}">
-                ${title ? `<div class="lcd-stat-title">${title}</div>` : ''}
+                ${title || icon ? lcdHtml`<div class="lcd-stat-title" data-fit>${lcdIconSlot(icon)}${lcdFitSpan(title)}</div>` : ''}
                 <div class="lcd-stat-value-row">
-                    <span class="lcd-stat-value" style="color:${valueColor}">${value}</span>
-                    ${unit ? `<span class="lcd-stat-unit">${unit}</span>` : ''}
+                    <span class="lcd-stat-value" style="color:${valueColor}" data-fit>${lcdFitSpan(value)}</span>
+                    ${unit ? lcdHtml`<span class="lcd-stat-unit">${unit}</span>` : ''}
                 </div>
-                ${subtitle ? `<div class="lcd-stat-subtitle">${subtitle}</div>` : ''}
+                ${trend ? lcdHtml`<div class="lcd-trend-delta lcd-trend-${trend.tone}"><span class="lcd-trend-arrow">${trend.arrow}</span>${trend.text}</div>` : ''}
+                ${subtitle ? lcdHtml`<div class="lcd-stat-subtitle" data-fit>${lcdFitSpan(subtitle)}</div>` : ''}
             </div>
         `;
     }
@@ -162,43 +505,44 @@ class LcdStatCard extends HTMLElement {
  *   value - Temperature in Celsius
  *   max - Maximum temperature (default: 100)
  *   label - Label text
+ *   format, decimals, unit-system, locale - Center value format, default "number" (see formatOptions() in lcd-core.js)
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "cpu-temp")
+ *   duration - Animation duration in ms when the value changes (default: 500, 0 disables)
+ *   easing - "ease-out" (default), "ease-in", "ease-in-out" or "linear"
  */
-class LcdTempGauge extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdTempGauge extends LcdElement {
+    constructor() {
+        super();
+        this._tweens = new LcdTweens(this);
+        this._thresholds = new LcdThresholds(this);
     }
 
     static get observedAttributes() {
-        return ['value', 'max', 'label', 'props'];
+        return ['value', 'max', 'label', 'thresholds', 'duration', 'easing',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        this.render();
+    onDisconnect() {
+        this._tweens.finish();
     }
 
     render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-
-        const value = parseFloat(props.value ?? this.getAttribute('value') ?? 0);
-        const max = parseFloat(props.max ?? this.getAttribute('max') ?? 100);
-        const label = props.label ?? this.getAttribute('label') ?? '';
+        const value = this._tweens.value('value', this.numberProp('value', 0));
+        const max = this.numberProp('max', 100);
+        const label = this.prop('label', '');
 
         const percentage = Math.min(100, Math.max(0, (value / max) * 100));
-        const color = getTempColor(value);
+        const color = this._thresholds.color(value, percentage, 'cpu-temp');
+        const display = this.formatParts(value);
 
         // SVG donut chart - size is responsive via CSS
         const radius = 45;
         const circumference = 2 * Math.PI * radius;
         const strokeDashoffset = circumference - (percentage / 100) * circumference;
 
-        this.innerHTML = `
+        return lcdHtml`
             <div class="lcd-temp-gauge">
-                ${label ? `<div class="lcd-gauge-label">${label}</div>` : ''}
+                ${label ? lcdHtml`<div class="lcd-gauge-label">${label}</div>` : ''}
                 <div class="lcd-gauge-container">
                     <svg viewBox="0 0 100 100" class="lcd-gauge-svg">
                         <circle cx="50" cy="50" r="${radius}" fill="none" stroke="var(--color-bar-background)" stroke-width="8"/>
@@ -207,7 +551,7 @@ class LcdTempGauge extends HTMLElement {
                             stroke-linecap="round" class="lcd-gauge-fill"/>
                     </svg>
                     <div class="lcd-gauge-value">
-                        <span style="color:${color}">${Math.round(value)}°</span>
+                        <span style="color:${color}">${display.value}${display.unit || '°'}</span>
                     </div>
                 </div>
             </div>
@@ -220,54 +564,56 @@ class LcdTempGauge extends HTMLElement {
  *
  * Attributes:
  *   title - Optional title for the list
- *   items - JSON array of {label, value, color?} objects
+ *   items - JSON array of {label, value, color?, icon?, format?, decimals?} objects;
+ *           per-item format/decimals override the list's
  *   size - "small", "medium" (default), "large" for text scaling
+ *   fit - Keep long text on one line: "shrink" (smaller font), "marquee" (scroll) or "ellipsis"
+ *   format, decimals, unit-system, locale - Value format, default "raw" (see formatOptions() in lcd-core.js)
  */
-class LcdInfoList extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdInfoList extends LcdElement {
+    constructor() {
+        super();
+        this._fit = new LcdFit(this);
     }
 
     static get observedAttributes() {
-        return ['title', 'items', 'size', 'props'];
+        return ['title', 'items', 'size', 'fit', 'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        this.render();
+    onDisconnect() {
+        this._fit.disconnect();
     }
 
-    render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-
-        const title = props.title ?? this.getAttribute('title') ?? '';
-        const size = props.size ?? this.getAttribute('size') ?? 'medium';
-
-        let items = props.items ?? [];
-        if (this.hasAttribute('items') && !props.items) {
-            try {
-                items = JSON.parse(this.getAttribute('items'));
-            } catch (e) {}
-        }
+    update() {
+        super.update();
+        this._fit.apply();
+    }
 
+    render() {
+        const title = this.prop('title', '');
+        const size = this.prop('size', 'medium');
+        const formatOptions = this.formatOptions({ format: 'raw' });
+        const formatItem = item => lcdFormat(item.value ?? '', {
+            ...formatOptions,
+            format: item.format ?? formatOptions.format,
+            decimals: item.decimals ?? formatOptions.decimals
+        });
+
+        let items = this.jsonProp('items', []);
         if (!Array.isArray(items)) items = [];
 
         const sizeClass = `lcd-info-list-${size}`;
 
-        const itemsHtml = items.map(item => `
+        const itemsHtml = items.map(item => lcdHtml`
             <div class="lcd-info-item">
-                <span class="lcd-info-label">${item.label || ''}</span>
-                <span class="lcd-info-value" style="color:${item.color || 'var(--color-text-primary)'}">${item.value || ''}</span>
+                <span class="lcd-info-label" data-fit>${lcdIconSlot(item.icon)}${lcdFitSpan(item.label || '')}</span>
+                <span class="lcd-info-value" style="color:${lcdSafeColor(item.color, 'var(--color-text-primary)')}" data-fit>${lcdFitSpan(formatItem(item))}</span>
             </div>
-        `).join('');
+        `);
 
-        this.innerHTML = `
+        return lcdHtml`
             <div class="lcd-info-list ${sizeClass}">
-                ${title ? `<div class="lcd-info-title">${title}</div>` : ''}
+                ${title ? lcdHtml`<div class="lcd-info-title">${title}</div>` : ''}
                 <div class="lcd-info-items">
                     ${itemsHtml}
                 </div>
@@ -280,55 +626,58 @@ class LcdInfoList extends HTMLElement {
  * <lcd-sparkline> - Mini time-series chart
  *
  * Attributes:
- *   values - JSON array of numbers
+ *   values - JSON array of numbers (seeds the history; see push())
+ *   capacity - Maximum samples kept (default: 60, or the length of values if longer)
  *   color - Line color (default: accent)
  *   label - Optional label
  *   fill - Whether to fill under the line (default: false)
  *   style - "line" (default), "area", or "bar"
+ *   y-min, y-max - Fixed y-axis range (default: the data's min and max)
+ *   thresholds - Threshold profile name, breakpoint array or object; each breakpoint
+ *                is drawn as a dashed reference line in its level color
+ *   markers - Annotate "min", "max" and/or "avg" (comma separated, or "all")
+ *   format, decimals, unit-system, locale - Header value format, default "number" (see formatOptions() in lcd-core.js)
+ *
+ * Methods:
+ *   push(value), pushMany(values) - Append samples without re-sending `values`
  */
-class LcdSparkline extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdSparkline extends LcdElement {
+    constructor() {
+        super();
+        this._thresholds = new LcdThresholds(this);
+        this._history = new LcdSampleHistory(this);
     }
 
     static get observedAttributes() {
-        return ['values', 'color', 'label', 'fill', 'style', 'props'];
+        return ['values', 'capacity', 'color', 'label', 'fill', 'style', 'y-min', 'y-max', 'thresholds', 'markers',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        this.render();
+    /** Append a sample; the oldest is dropped once `capacity` is reached. */
+    push(value) {
+        this.pushMany([value]);
     }
 
-    render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-
-        let values = props.values ?? [];
-        if (this.hasAttribute('values') && !props.values) {
-            try {
-                values = JSON.parse(this.getAttribute('values'));
-            } catch (e) {}
-        }
+    /** Append several samples, oldest first, with a single re-render. */
+    pushMany(values) {
+        this._history.push(values);
+        this.requestUpdate();
+    }
 
-        if (!Array.isArray(values)) values = [];
+    render() {
+        const values = this._history.buffer().toArray();
 
-        const color = props.color ?? this.getAttribute('color') ?? (getCssVar('--color-accent') || '#00d4ff');
-        const label = props.label ?? this.getAttribute('label') ?? '';
-        const fill = props.fill ?? this.getAttribute('fill') === 'true';
-        const style = props.style ?? this.getAttribute('style') ?? 'line';
+        const color = lcdSafeColor(this.prop('color'), getCssVar('--color-accent') || '#00d4ff');
+        const label = this.prop('label', '');
+        const fill = this.boolProp('fill', false);
+        const style = this.prop('style', 'line');
 
         if (values.length === 0) {
-            this.innerHTML = `<div class="lcd-sparkline-empty">No data</div>`;
-            return;
+            return lcdHtml`<div class="lcd-sparkline-empty">No data</div>`;
         }
 
-        const min = Math.min(...values);
-        const max = Math.max(...values);
-        const range = max - min || 1;
+        const { min, max } = this._history.range(values);
+        const range = max - min;
 
         // Padding to prevent stroke overflow at edges
         const strokeWidth = 2;
@@ -338,61 +687,78 @@ class LcdSparkline extends HTMLElement {
         const drawWidth = viewWidth - (padding * 2);
         const drawHeight = viewHeight - (padding * 2);
 
-        const currentValue = values[values.length - 1];
+        const currentValue = this.formatValue(values[values.length - 1]);
+
+        // Values outside a fixed y-min/y-max are clamped to the chart edge
+        const level = v => Math.min(1, Math.max(0, (v - min) / range));
+        const toY = v => padding + drawHeight - level(v) * drawHeight;
+        const toX = style === 'bar'
+            ? i => padding + ((i + 0.5) / values.length) * drawWidth
+            : i => padding + (i / (values.length - 1 || 1)) * drawWidth;
 
+        let chart;
         if (style === 'bar') {
             // Bar chart style
             const barWidth = drawWidth / values.length * 0.8;
             const barGap = drawWidth / values.length * 0.2;
-            const bars = values.map((v, i) => {
+            chart = values.map((v, i) => {
                 const x = padding + (i / values.length) * drawWidth + barGap/2;
-                const barHeight = ((v - min) / range) * drawHeight;
+                const barHeight = level(v) * drawHeight;
                 const y = padding + drawHeight - barHeight;
-                return `<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${color}" opacity="0.8"/>`;
-            }).join('');
-
-            this.innerHTML = `
-                <div class="lcd-sparkline">
-                    ${label ? `<div class="lcd-sparkline-header">
-                        <span class="lcd-sparkline-label">${label}</span>
-                        <span class="lcd-sparkline-value">${Math.round(currentValue)}</span>
-                    </div>` : ''}
-                    <div class="lcd-sparkline-chart">
-                        <svg viewBox="0 0 ${viewWidth} ${viewHeight}" preserveAspectRatio="none" class="lcd-sparkline-svg">
-                            ${bars}
-                        </svg>
-                    </div>
-                </div>
+                return lcdHtml`<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="${color}" opacity="0.8"/>`;
+            });
+        } else {
+            // Line/Area style - calculate points with padding
+            const points = values.map((v, i) => `${toX(i)},${toY(v)}`).join(' ');
+
+            // For area fill, create a closed polygon
+            const areaPath = fill || style === 'area' ? (() => {
+                const firstX = padding;
+                const lastX = padding + drawWidth;
+                const bottomY = padding + drawHeight;
+                return `${firstX},${bottomY} ${points} ${lastX},${bottomY}`;
+            })() : '';
+
+            chart = lcdHtml`
+                ${(fill || style === 'area') ? lcdHtml`<polygon points="${areaPath}" fill="${color}" opacity="0.2"/>` : ''}
+                <polyline points="${points}" fill="none" stroke="${color}" stroke-width="${strokeWidth}" stroke-linejoin="round" stroke-linecap="round" vector-effect="non-scaling-stroke"/>
             `;
-            return;
         }
 
-        // Line/Area style - calculate points with padding
-        const points = values.map((v, i) => {
-            const x = padding + (i / (values.length - 1)) * drawWidth;
-            const y = padding + drawHeight - ((v - min) / range) * drawHeight;
-            return `${x},${y}`;
-        }).join(' ');
-
-        // For area fill, create a closed polygon
-        const areaPath = fill || style === 'area' ? (() => {
-            const firstX = padding;
-            const lastX = padding + drawWidth;
-            const bottomY = padding + drawHeight;
-            return `${firstX},${bottomY} ${points} ${lastX},${bottomY}`;
-        })() : '';
+        // Threshold reference lines inside the visible range
+        const referenceLines = this._thresholds.lines('usage')
+            .filter(line => line.value >= min && line.value <= max)
+            .map(line => lcdHtml`<line class="lcd-sparkline-ref" x1="${padding}" x2="${padding + drawWidth}" y1="${toY(line.value)}" y2="${toY(line.value)}" stroke="${line.color}"/>`);
+
+        // Min/max/avg annotations are HTML so their labels aren't stretched by the SVG
+        const markers = this._history.markers();
+        const stats = lcdSeriesStats(values);
+        const pointMarker = (kind, index) => {
+            const x = toX(index) / viewWidth * 100;
+            const shift = x < 15 ? 0 : x > 85 ? -100 : -50;
+            return lcdHtml`
+                <span class="lcd-sparkline-marker lcd-sparkline-marker-${kind}" style="left:${x}%;top:${toY(values[index]) / viewHeight * 100}%;color:${color};--lcd-marker-shift:${shift}%">
+                    <span class="lcd-sparkline-marker-label">${this.formatValue(values[index])}</span>
+                </span>
+            `;
+        };
+        const avgY = toY(stats.avg);
 
-        this.innerHTML = `
+        return lcdHtml`
             <div class="lcd-sparkline">
-                ${label ? `<div class="lcd-sparkline-header">
+                ${label ? lcdHtml`<div class="lcd-sparkline-header">
                     <span class="lcd-sparkline-label">${label}</span>
-                    <span class="lcd-sparkline-value">${Math.round(currentValue)}</span>
+                    <span class="lcd-sparkline-value">${currentValue}</span>
                 </div>` : ''}
                 <div class="lcd-sparkline-chart">
                     <svg viewBox="0 0 ${viewWidth} ${viewHeight}" preserveAspectRatio="none" class="lcd-sparkline-svg">
-                        ${(fill || style === 'area') ? `<polygon points="${areaPath}" fill="${color}" opacity="0.2"/>` : ''}
-                        <polyline points="${points}" fill="none" stroke="${color}" stroke-width="${strokeWidth}" stroke-linejoin="round" stroke-linecap="round" vector-effect="non-scaling-stroke"/>
+                        ${referenceLines}
+                        ${chart}
+                        ${markers.has('avg') ? lcdHtml`<line class="lcd-sparkline-ref lcd-sparkline-avg" x1="${padding}" x2="${padding + drawWidth}" y1="${avgY}" y2="${avgY}" stroke="${color}"/>` : ''}
                     </svg>
+                    ${markers.has('max') ? pointMarker('max', stats.maxIndex) : ''}
+                    ${markers.has('min') ? pointMarker('min', stats.minIndex) : ''}
+                    ${markers.has('avg') ? lcdHtml`<span class="lcd-sparkline-avg-label" style="top:${avgY / viewHeight * 100}%">avg ${this.formatValue(stats.avg)}</span>` : ''}
                 </div>
             </div>
         `;
@@ -405,30 +771,17 @@ class LcdSparkline extends HTMLElement {
  * Attributes:
  *   status - "success", "warning", "critical", "info"
  *   label - Optional label text
+ *   icon - Icon drawn in the status color instead of the dot (see <lcd-icon>)
  */
-class LcdStatusDot extends HTMLElement {
-    connectedCallback() {
-        this.render();
-    }
-
+class LcdStatusDot extends LcdElement {
     static get observedAttributes() {
-        return ['status', 'label', 'props'];
-    }
-
-    attributeChangedCallback() {
-        this.render();
+        return ['status', 'label', 'icon', 'props'];
     }
 
     render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-
-        const status = props.status ?? this.getAttribute('status') ?? 'info';
-        const label = props.label ?? this.getAttribute('label') ?? '';
+        const status = this.prop('status', 'info');
+        const label = this.prop('label', '');
+        const icon = this.prop('icon', '');
 
         const colors = {
             success: 'var(--color-success)',
@@ -439,57 +792,1717 @@ class LcdStatusDot extends HTMLElement {
 
         const color = colors[status] || colors.info;
 
-        this.innerHTML = `
+        return lcdHtml`
             <div class="lcd-status-dot">
-                <span class="lcd-dot" style="background:${color};"></span>
-                ${label ? `<span class="lcd-dot-label">${label}</span>` : ''}
+                ${icon
+                    ? lcdHtml`<span class="lcd-dot-icon" style="color:${color};">${lcdIcon(icon) || icon}</span>`
+                    : lcdHtml`<span class="lcd-dot" style="background:${color};"></span>`}
+                ${label ? lcdHtml`<span class="lcd-dot-label">${label}</span>` : ''}
             </div>
         `;
     }
 }
 
 /**
- * <lcd-donut> - Circular percentage display
+ * <lcd-icon> - Inline SVG icon from the built-in set
  *
  * Attributes:
- *   value - Current value
- *   max - Maximum value (default: 100)
- *   label - Center label
- *   color - Fill color (auto-detected based on percentage if not provided)
+ *   name - Icon name: cpu, gpu, ram, disk, network, fan, temperature, power, vm,
+ *          container, clock, server, battery, upload, download, warning, check
+ *          (plus aliases such as memory, storage, temp) or one added with
+ *          lcdRegisterIcon(); unknown names are shown as text
+ *   size - Width and height, in px or any CSS length (default: 1em)
+ *   color - Icon color (default: the surrounding text color)
+ *   label - Accessible name; without it the icon is decorative
+ */
+class LcdIcon extends LcdElement {
+    static get observedAttributes() {
+        return ['name', 'size', 'color', 'label', 'props'];
+    }
+
+    render() {
+        const name = this.prop('name', '');
+        const color = lcdSafeColor(this.prop('color'));
+        const label = this.prop('label', '');
+
+        let size = String(this.prop('size', '')).trim();
+        if (/^\d+(\.\d+)?$/.test(size)) size += 'px';
+        if (!/^\d+(\.\d+)?(px|em|rem|vmin|vh|vw|%)$/.test(size)) size = '';
+
+        const style = `${size ? `width:${size};height:${size};` : ''}${color ? `color:${color};` : ''}`;
+        return lcdHtml`
+            <span class="lcd-icon" style="${style}" ${label ? lcdHtml`role="img" aria-label="${label}"` : ''}>${lcdIcon(name) || name}</span>
+        `;
+    }
+}
+
+// Rotor artwork for <lcd-fan>, drawn in a 100x100 box around (50, 50)
+const LCD_FAN_ROTORS = {
+    fan: [0, 72, 144, 216, 288].map(angle =>
+        `<path transform="rotate(${angle} 50 50)" d="M50 41 C45 29 50 14 63 10 C71 19 67 34 56 43 Z"/>`).join('') +
+        '<circle cx="50" cy="50" r="9"/>',
+    pump: [0, 60, 120, 180, 240, 300].map(angle =>
+        `<path transform="rotate(${angle} 50 50)" d="M50 40 Q60 32 62 16" fill="none" stroke-width="5" stroke-linecap="round"/>`).join('') +
+        '<circle cx="50" cy="50" r="11"/>'
+};
+
+/**
+ * <lcd-fan> - Fan or pump icon spinning in proportion to its speed
+ *
+ * Attributes:
+ *   rpm - Current speed
+ *   max-rpm - Speed of a full-speed spin (default: 2000)
+ *   label - Optional label text
+ *   type - "fan" (default) or "pump"
+ *   spin-rate - Revolutions per second drawn at max-rpm (default: 3); real speeds
+ *               would alias at screen capture frame rates
+ *   stall-rpm - Below this the fan is shown as stalled (default: 1; 0 disables)
+ *   color - Rotor color (default: accent color)
+ *
+ * The rotor is animated with the Web Animations API, so its angle follows the
+ * clock rather than the number of rendered frames. Speed changes keep the
+ * current angle.
+ */
+class LcdFan extends LcdElement {
+    constructor() {
+        super();
+        this._spin = null;
+    }
+
+    static get observedAttributes() {
+        return ['rpm', 'max-rpm', 'label', 'type', 'spin-rate', 'stall-rpm', 'color', 'locale', 'props'];
+    }
+
+    onDisconnect() {
+        if (this._spin) {
+            this._spin.cancel();
+            this._spin = null;
+        }
+    }
+
+    update() {
+        super.update();
+        this._updateSpin();
+    }
+
+    // Revolutions per second to draw for the current speed
+    _spinRate() {
+        const rpm = Math.max(0, this.numberProp('rpm', 0));
+        const maxRpm = this.numberProp('maxRpm', 2000) || 2000;
+        return this._stalled() ? 0 : Math.min(1, rpm / maxRpm) * this.numberProp('spinRate', 3);
+    }
+
+    _stalled() {
+        const stallRpm = this.numberProp('stallRpm', 1);
+        return stallRpm > 0 && this.numberProp('rpm', 0) < stallRpm;
+    }
+
+    _updateSpin() {
+        const rotor = this.querySelector('.lcd-fan-rotor');
+        if (!rotor || typeof rotor.animate !== 'function') return;
+
+        if (!this._spin || this._spin.effect.target !== rotor) {
+            if (this._spin) this._spin.cancel();
+            // One revolution per second at playbackRate 1
+            this._spin = rotor.animate(
+                [{ transform: 'rotate(0deg)' }, { transform: 'rotate(360deg)' }],
+                { duration: 1000, iterations: Infinity }
+            );
+        }
+
+        const rate = this._spinRate();
+        if (this._spin.playbackRate !== rate) {
+            this._spin.updatePlaybackRate(rate);
+        }
+    }
+
+    render() {
+        const rpm = Math.max(0, this.numberProp('rpm', 0));
+        const label = this.prop('label', '');
+        const type = this.prop('type', 'fan') === 'pump' ? 'pump' : 'fan';
+        const color = lcdSafeColor(this.prop('color'));
+        const stalled = this._stalled();
+
+        return lcdHtml`
+            <div class="lcd-fan lcd-fan-${type} ${stalled ? 'lcd-fan-stalled' : ''}" style="${color ? `--lcd-fan-color:${color};` : ''}">
+                ${label ? lcdHtml`<div class="lcd-fan-label">${label}</div>` : ''}
+                <svg class="lcd-fan-svg" viewBox="0 0 100 100" role="img" aria-label="${label || type}">
+                    ${type === 'fan'
+                        ? lcdHtml`<rect class="lcd-fan-housing" x="3" y="3" width="94" height="94" rx="14"/>`
+                        : ''}
+                    <circle class="lcd-fan-housing" cx="50" cy="50" r="45"/>
+                    <g class="lcd-fan-rotor">${lcdRaw(LCD_FAN_ROTORS[type])}</g>
+                </svg>
+                <div class="lcd-fan-readout">
+                    <span class="lcd-fan-rpm">${lcdFormatNumber(rpm, 0, this.prop('locale'))}</span>
+                    <span class="lcd-fan-unit">RPM</span>
+                </div>
+                ${stalled ? lcdHtml`<div class="lcd-fan-warning">${lcdIcon('warning') || ''} STALLED</div>` : ''}
+            </div>
+        `;
+    }
+}
+
+// ToggleStyle enum order in the C# SDK, for controls serialized with numeric enums
+const LCD_TOGGLE_STYLES = ['badge', 'switch', 'dot', 'text'];
+
+/**
+ * <lcd-toggle> - Boolean state indicator (mirrors the SDK ToggleControl)
+ *
+ * Attributes:
+ *   label - What the toggle represents
+ *   value - Boolean state
+ *   true-text - Text shown when true (default: "ON")
+ *   false-text - Text shown when false (default: "OFF")
+ *   style - "badge" (default), "switch", "led" (or "dot"), "pill" or "text";
+ *           ToggleStyle enum names and numbers are accepted
+ *   flash - Seconds to flash after the state changes (default: 0, true means 3)
+ *
+ * True is drawn in --color-success and false in --color-critical.
  */
-class LcdDonut extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdToggle extends LcdElement {
+    constructor() {
+        super();
+        this._lastState = null;
+        this._flashUntil = 0;
+        this._flashTimer = null;
     }
 
     static get observedAttributes() {
-        return ['value', 'max', 'label', 'color', 'props'];
+        return ['label', 'value', 'true-text', 'false-text', 'style', 'flash', 'props'];
+    }
+
+    onDisconnect() {
+        clearTimeout(this._flashTimer);
+        this._flashTimer = null;
+        this._flashUntil = 0;
     }
 
-    attributeChangedCallback() {
-        this.render();
+    // Start flashing when the state flips (not on the first render)
+    _trackState(state) {
+        const changed = this._lastState !== null && this._lastState !== state;
+        this._lastState = state;
+        if (!changed) return;
+
+        const flash = this.prop('flash', 0);
+        const seconds = flash === true || flash === 'true' ? 3 : parseFloat(flash) || 0;
+        if (seconds <= 0) return;
+
+        this._flashUntil = performance.now() + seconds * 1000;
+        clearTimeout(this._flashTimer);
+        this._flashTimer = setTimeout(() => {
+            this._flashTimer = null;
+            this.requestUpdate();
+        }, seconds * 1000);
     }
 
     render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
+        const label = this.prop('label', '');
+        const state = this.boolProp('value', false);
+        const text = state ? this.prop('trueText', 'ON') : this.prop('falseText', 'OFF');
+
+        let style = String(this.prop('style', 'badge')).toLowerCase();
+        if (LCD_TOGGLE_STYLES[style]) style = LCD_TOGGLE_STYLES[style];
+        if (style === 'dot') style = 'led';
+        if (!['badge', 'switch', 'led', 'pill', 'text'].includes(style)) style = 'badge';
+
+        this._trackState(state);
+        const flashing = performance.now() < this._flashUntil;
+
+        let indicator;
+        if (style === 'switch') {
+            indicator = lcdHtml`
+                <span class="lcd-toggle-track"><span class="lcd-toggle-knob"></span></span>
+                <span class="lcd-toggle-state">${text}</span>
+            `;
+        } else if (style === 'led') {
+            indicator = lcdHtml`
+                <span class="lcd-toggle-led"></span>
+                <span class="lcd-toggle-state">${text}</span>
+            `;
+        } else if (style === 'text') {
+            indicator = lcdHtml`<span class="lcd-toggle-state">${text}</span>`;
+        } else {
+            indicator = lcdHtml`<span class="lcd-toggle-badge">${text}</span>`;
         }
 
-        const value = parseFloat(props.value ?? this.getAttribute('value') ?? 0);
-        const max = parseFloat(props.max ?? this.getAttribute('max') ?? 100);
-        const label = props.label ?? this.getAttribute('label') ?? '';
+        return lcdHtml`
+            <div class="lcd-toggle lcd-toggle-${style} ${state ? 'lcd-toggle-on' : 'lcd-toggle-off'} ${flashing ? 'lcd-toggle-flash' : ''}">
+                ${label ? lcdHtml`<span class="lcd-toggle-label">${label}</span>` : ''}
+                <div class="lcd-toggle-indicator">
+                    ${indicator}
+                </div>
+            </div>
+        `;
+    }
+}
 
-        const percentage = Math.min(100, Math.max(0, (value / max) * 100));
-        const color = props.color ?? this.getAttribute('color') ?? getUsageColor(percentage);
+// SDK StatusLevel and SeriesLayout enum order, for controls serialized with numeric enums
+const LCD_STATUS_LEVELS = ['normal', 'info', 'success', 'warning', 'error'];
+const LCD_SERIES_LAYOUTS = ['grid', 'list', 'compact'];
+
+// Explicit item status colors; "normal" items use the usage color scale
+const LCD_STATUS_COLORS = {
+    info: 'var(--color-info)',
+    success: 'var(--color-success)',
+    warning: 'var(--color-warning)',
+    error: 'var(--color-critical)',
+    critical: 'var(--color-critical)'
+};
+
+/**
+ * <lcd-status-grid> - Heatmap of many items (mirrors CurrentStatusSeriesControl)
+ *
+ * Attributes:
+ *   title - Optional title
+ *   items - JSON array of {label, value, max?, status?} objects (StatusItem);
+ *           status "info", "success", "warning" or "error" overrides the color scale
+ *   layout - "grid" (default, auto-sized colored cells), "list" (mini bars) or
+ *            "compact" (single row of cells); SeriesLayout names and numbers are accepted
+ *   show-labels - "auto" (default: only when the cells are big enough), true or false
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage")
+ *   format, decimals, unit-system, locale - Cell text format, default "percent" (see formatOptions() in lcd-core.js)
+ */
+class LcdStatusGrid extends LcdElement {
+    constructor() {
+        super();
+        this._thresholds = new LcdThresholds(this);
+        this._size = null;
+        this._resizeObserver = null;
+    }
+
+    static get observedAttributes() {
+        return ['title', 'items', 'layout', 'show-labels', 'thresholds',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
+    }
+
+    onConnect() {
+        // Cell count per row and label visibility depend on the element's size
+        if (typeof ResizeObserver === 'undefined') return;
+        this._resizeObserver = new ResizeObserver(entries => {
+            const { width, height } = entries[0].contentRect;
+            const size = this._size;
+            if (!size || Math.abs(size.width - width) > 1 || Math.abs(size.height - height) > 1) {
+                this._size = { width, height };
+                this.requestUpdate();
+            }
+        });
+        this._resizeObserver.observe(this);
+    }
+
+    onDisconnect() {
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
+    }
+
+    _items() {
+        const items = this.jsonProp('items', []);
+        if (!Array.isArray(items)) return [];
+        return items.filter(item => item && typeof item === 'object').map(item => {
+            const value = Number(item.value) || 0;
+            const max = Number(item.max) > 0 ? Number(item.max) : 100;
+            const percentage = Math.min(100, Math.max(0, (value / max) * 100));
+            const status = String(LCD_STATUS_LEVELS[item.status] ?? item.status ?? '').toLowerCase();
+            return {
+                label: String(item.label ?? ''),
+                percentage,
+                color: LCD_STATUS_COLORS[status] || this._thresholds.color(value, percentage, 'usage'),
+                text: this.formatPercentage(percentage, max)
+            };
+        });
+    }
+
+    render() {
+        const title = this.prop('title', '');
+        const items = this._items();
+
+        let layout = String(this.prop('layout', 'grid')).toLowerCase();
+        if (LCD_SERIES_LAYOUTS[layout]) layout = LCD_SERIES_LAYOUTS[layout];
+        if (!LCD_SERIES_LAYOUTS.includes(layout)) layout = 'grid';
+
+        if (items.length === 0) {
+            return lcdHtml`<div class="lcd-status-grid-empty">No data</div>`;
+        }
+
+        // Space left for the cells (title height is approximate)
+        const width = this._size ? this._size.width : 0;
+        const height = this._size ? Math.max(0, this._size.height - (title ? 32 : 0)) : 0;
+        const gap = 4;
+
+        return lcdHtml`
+            <div class="lcd-status-grid lcd-status-grid-${layout}">
+                ${title ? lcdHtml`<div class="lcd-status-grid-title">${title}</div>` : ''}
+                ${layout === 'list'
+                    ? this._renderList(items, height)
+                    : this._renderCells(items, layout, width, height, gap)}
+            </div>
+        `;
+    }
+
+    _renderCells(items, layout, width, height, gap) {
+        const count = items.length;
+        // Pick the column count that keeps cells closest to square
+        const aspect = width > 0 && height > 0 ? width / height : 2;
+        const cols = layout === 'compact'
+            ? count
+            : Math.max(1, Math.min(count, Math.round(Math.sqrt(count * aspect))));
+        const rows = Math.ceil(count / cols);
+
+        let labels = 'full';
+        let fontSize = null;
+        if (width > 0 && height > 0) {
+            const cellWidth = (width - gap * (cols - 1)) / cols;
+            const cellHeight = layout === 'compact' ? height : (height - gap * (rows - 1)) / rows;
+            labels = cellWidth >= 64 && cellHeight >= 40 ? 'full' : cellWidth >= 32 && cellHeight >= 18 ? 'value' : 'none';
+            fontSize = Math.max(8, Math.min(cellHeight * 0.32, cellWidth * 0.24, 28));
+        } else if (count > 16) {
+            labels = count > 64 ? 'none' : 'value';
+        }
+
+        const showLabels = this.prop('showLabels', 'auto');
+        if (showLabels !== 'auto') {
+            labels = this.boolProp('showLabels', true) ? 'full' : 'none';
+        }
+
+        const cells = items.map(item => lcdHtml`
+            <div class="lcd-status-cell" style="--cell-color:${item.color};--cell-level:${item.percentage / 100};" title="${item.label}">
+                ${labels === 'full' ? lcdHtml`<span class="lcd-status-cell-label">${item.label}</span>` : ''}
+                ${labels !== 'none' ? lcdHtml`<span class="lcd-status-cell-value">${item.text}</span>` : ''}
+            </div>
+        `);
+
+        return lcdHtml`
+            <div class="lcd-status-cells" style="grid-template-columns:repeat(${cols}, 1fr);gap:${gap}px;${fontSize ? `font-size:${fontSize.toFixed(1)}px;` : ''}">
+                ${cells}
+            </div>
+        `;
+    }
+
+    _renderList(items, height) {
+        // Wrap into extra columns once the rows would get shorter than ~22px
+        const rowsFit = height > 0 ? Math.max(1, Math.floor(height / 22)) : 12;
+        const cols = Math.ceil(items.length / rowsFit);
+
+        const rows = items.map(item => lcdHtml`
+            <div class="lcd-status-row">
+                <span class="lcd-status-row-label">${item.label}</span>
+                <span class="lcd-status-row-track">
+                    <span class="lcd-status-row-fill" style="width:${item.percentage}%;background:${item.color};"></span>
+                </span>
+                <span class="lcd-status-row-value">${item.text}</span>
+            </div>
+        `);
+
+        return lcdHtml`
+            <div class="lcd-status-list" style="grid-template-columns:repeat(${cols}, 1fr);">
+                ${rows}
+            </div>
+        `;
+    }
+}
+
+/**
+ * <lcd-ranking> - Top-N items as sorted horizontal bars
+ *
+ * Attributes:
+ *   title - Optional heading
+ *   items - JSON array of {label, value, max?, color?, icon?, id?} objects;
+ *           id (default: label) keeps an item's row when its rank changes
+ *   limit - Number of rows shown (default: 5, 0 shows every item)
+ *   sort - "desc" (default), "asc" or "none" to keep the given order
+ *   max - Shared scale for the bars (default: each item's max, else the largest value)
+ *   color - Bar color (default: threshold colors against max, accent color when bars are
+ *           scaled to the largest value)
+ *   show-rank - Show the rank number before each label (default: true)
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage")
+ *   format, decimals, unit-system, locale - Value format, default "number" (see formatOptions() in lcd-core.js)
+ *
+ * Rows slide to their new position when the order changes between updates.
+ */
+class LcdRanking extends LcdElement {
+    constructor() {
+        super();
+        this._thresholds = new LcdThresholds(this);
+        // Row slot per item id; a row keeps its node so its move can be transitioned
+        this._slots = [];
+    }
+
+    static get observedAttributes() {
+        return ['title', 'items', 'limit', 'sort', 'max', 'color', 'show-rank', 'thresholds',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
+    }
+
+    _items() {
+        const items = this.jsonProp('items', []);
+        if (!Array.isArray(items)) return [];
+
+        const sort = this.prop('sort', 'desc');
+        const limit = Math.max(0, Math.round(this.numberProp('limit', 5)));
+        let ranked = items
+            .filter(item => item && typeof item === 'object')
+            .map((item, i) => ({
+                id: String(item.id ?? item.label ?? i),
+                label: String(item.label ?? ''),
+                value: Number(item.value) || 0,
+                max: Number(item.max) > 0 ? Number(item.max) : null,
+                color: lcdSafeColor(item.color),
+                icon: item.icon
+            }));
+        // Drop duplicate ids so each row has one slot
+        const seen = new Set();
+        ranked = ranked.filter(item => !seen.has(item.id) && seen.add(item.id));
+        if (sort === 'desc' || sort === 'asc') {
+            const direction = sort === 'asc' ? 1 : -1;
+            ranked.sort((a, b) => (a.value - b.value) * direction);
+        }
+        return limit > 0 ? ranked.slice(0, limit) : ranked;
+    }
+
+    _assignSlots(items) {
+        const ids = new Set(items.map(item => item.id));
+        // Slots emptied this update stay empty for now, so a new item never
+        // takes over a row that is still moving
+        const free = [];
+        const slots = this._slots.map((id, i) => {
+            if (id === null) free.push(i);
+            return id !== null && ids.has(id) ? id : null;
+        });
+        for (const item of items) {
+            if (slots.includes(item.id)) continue;
+            if (free.length > 0) {
+                slots[free.shift()] = item.id;
+            } else {
+                slots.push(item.id);
+            }
+        }
+        while (slots.length > 0 && slots[slots.length - 1] === null) slots.pop();
+        this._slots = slots;
+        return slots;
+    }
+
+    render() {
+        const title = this.prop('title', '');
+        const items = this._items();
+        const slots = this._assignSlots(items);
+
+        if (items.length === 0) {
+            return lcdHtml`<div class="lcd-ranking-empty">No data</div>`;
+        }
+
+        const maxProp = this.numberProp('max', null);
+        const largest = Math.max(0, ...items.map(item => item.value));
+        const color = lcdSafeColor(this.prop('color'));
+        const showRank = this.boolProp('showRank', true);
+
+        const byId = new Map(items.map((item, rank) => [item.id, { ...item, rank }]));
+        const rows = slots.map(id => {
+            const item = byId.get(id);
+            if (!item) return lcdHtml`<div class="lcd-ranking-row lcd-ranking-row-empty"></div>`;
+
+            const max = maxProp > 0 ? maxProp : item.max || largest;
+            const percentage = max > 0 ? Math.min(100, Math.max(0, (item.value / max) * 100)) : 0;
+            // Against the largest value the top bar is always full, so threshold colors only apply to a real max
+            const barColor = item.color || color || (maxProp > 0 || item.max
+                ? this._thresholds.color(item.value, percentage, 'usage')
+                : 'var(--color-accent)');
+
+            return lcdHtml`
+                <div class="lcd-ranking-row" style="--rank:${item.rank};">
+                    ${showRank ? lcdHtml`<span class="lcd-ranking-rank">${item.rank + 1}</span>` : ''}
+                    ${lcdIconSlot(item.icon)}
+                    <span class="lcd-ranking-label" title="${item.label}">${item.label}</span>
+                    <span class="lcd-ranking-track">
+                        <span class="lcd-ranking-fill" style="width:${percentage}%;background:${barColor};"></span>
+                    </span>
+                    <span class="lcd-ranking-value">${this.formatValue(item.value)}</span>
+                </div>
+            `;
+        });
+
+        return lcdHtml`
+            <div class="lcd-ranking">
+                ${title ? lcdHtml`<div class="lcd-ranking-title">${title}</div>` : ''}
+                <div class="lcd-ranking-list" style="--ranking-rows:${items.length};">
+                    ${rows}
+                </div>
+            </div>
+        `;
+    }
+}
+
+// Value format and default alignment per <lcd-table> column type
+const LCD_TABLE_TYPES = {
+    text: { format: 'raw', align: 'left' },
+    number: { format: 'number', align: 'right' },
+    bytes: { format: 'bytes', align: 'right' },
+    'percent-bar': { format: 'percent', align: 'left' },
+    'status-dot': { format: 'raw', align: 'left' },
+    uptime: { format: 'duration', align: 'right' }
+};
+
+// Common service and VM states mapped onto the status levels
+const LCD_TABLE_STATUS_ALIASES = {
+    running: 'success',
+    online: 'success',
+    up: 'success',
+    ok: 'success',
+    paused: 'warning',
+    degraded: 'warning',
+    stopped: 'normal',
+    offline: 'error',
+    down: 'error',
+    failed: 'error'
+};
+
+/**
+ * <lcd-table> - Rows of typed columns (VM lists, services)
+ *
+ * Attributes:
+ *   title - Optional heading
+ *   columns - JSON array of {key, label?, type?, width?, align?, format?, decimals?, max?, thresholds?}:
+ *             type "text" (default), "number", "bytes", "percent-bar", "status-dot" or "uptime" (seconds);
+ *             width is a share of the row (2 = twice the others) or a CSS length;
+ *             align "left", "center" or "right" (default depends on type)
+ *   rows - JSON array of objects, read by each column's key
+ *   status-key - Row field holding its status (default: "status"); warning and error
+ *                rows are highlighted ("running", "stopped", ... are understood too)
+ *   show-header - Show the column labels (default: true)
+ *   page-size - Rows per page (default: as many as fit the widget)
+ *   page-interval - Seconds each page is shown when the rows don't fit (default: 5)
+ *   thresholds - Threshold profile for percent-bar columns (default: "usage")
+ *   unit-system - "binary" (KiB, MiB; default) or "si" (kB, MB) for byte columns
+ *   locale - Locale for digit grouping (default: browser locale)
+ */
+class LcdTable extends LcdElement {
+    constructor() {
+        super();
+        this._thresholds = new LcdThresholds(this);
+        this._page = 0;
+        this._pageSize = null;
+        this._pageTimer = null;
+        this._pageInterval = 0;
+        this._resizeObserver = null;
+    }
+
+    static get observedAttributes() {
+        return ['title', 'columns', 'rows', 'status-key', 'show-header', 'page-size', 'page-interval',
+            'thresholds', 'unit-system', 'locale', 'props'];
+    }
+
+    onConnect() {
+        // Rows per page depend on the element's height
+        if (typeof ResizeObserver === 'undefined') return;
+        this._resizeObserver = new ResizeObserver(() => this.requestUpdate());
+        this._resizeObserver.observe(this);
+    }
+
+    onDisconnect() {
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        }
+        this._stopPaging();
+    }
+
+    update() {
+        super.update();
+        this._measurePage();
+    }
+
+    _columns() {
+        const columns = this.jsonProp('columns', []);
+        if (!Array.isArray(columns)) return [];
+        return columns.filter(column => column && typeof column === 'object' && column.key !== undefined).map(column => {
+            const type = LCD_TABLE_TYPES[column.type] ? column.type : 'text';
+            const align = ['left', 'center', 'right'].includes(column.align) ? column.align : LCD_TABLE_TYPES[type].align;
+
+            let width = String(column.width ?? 1).trim();
+            if (/^\d+(\.\d+)?$/.test(width)) width = `minmax(0, ${width}fr)`;
+            else if (!/^\d+(\.\d+)?(px|em|rem|ch|vmin|vw|%)$/.test(width)) width = 'minmax(0, 1fr)';
+
+            return {
+                key: String(column.key),
+                label: String(column.label ?? column.key),
+                type,
+                align,
+                width,
+                max: Number(column.max) > 0 ? Number(column.max) : 100,
+                thresholds: column.thresholds,
+                format: {
+                    format: column.format || LCD_TABLE_TYPES[type].format,
+                    decimals: column.decimals ?? null,
+                    unitSystem: this.prop('unitSystem'),
+                    locale: this.prop('locale')
+                }
+            };
+        });
+    }
+
+    _rows() {
+        const rows = this.jsonProp('rows', []);
+        return Array.isArray(rows) ? rows.filter(row => row && typeof row === 'object') : [];
+    }
+
+    // Rows per page: the page-size prop, else the measured fit (null until measured)
+    _rowsPerPage() {
+        const pageSize = Math.round(this.numberProp('pageSize', 0));
+        return pageSize > 0 ? pageSize : this._pageSize;
+    }
+
+    _status(value) {
+        const status = String(LCD_STATUS_LEVELS[value] ?? value ?? '').toLowerCase();
+        return LCD_TABLE_STATUS_ALIASES[status] || status;
+    }
+
+    _percentage(column, value) {
+        return Math.min(100, Math.max(0, ((Number(value) || 0) / column.max) * 100));
+    }
+
+    // Text shown for a cell, also used as its tooltip
+    _cellText(column, value) {
+        // Lists read as "a, b"; other objects have nothing sensible to show
+        if (Array.isArray(value)) return value.join(', ');
+        if (value !== null && typeof value === 'object') return '';
+
+        if (column.type === 'percent-bar') {
+            return lcdFormat(column.format.format === 'percent' ? this._percentage(column, value) : Number(value) || 0, column.format);
+        }
+        if (column.type === 'status-dot') return String(LCD_STATUS_LEVELS[value] ?? value ?? '');
+        return String(lcdFormat(value, column.format));
+    }
+
+    _renderCell(column, row, text) {
+        const value = row[column.key];
+
+        if (column.type === 'percent-bar') {
+            const percentage = this._percentage(column, value);
+            const color = column.thresholds !== undefined
+                ? lcdThresholdColor(percentage, column.thresholds, 'usage')
+                : this._thresholds.color(Number(value) || 0, percentage, 'usage');
+            return lcdHtml`
+                <span class="lcd-table-bar">
+                    <span class="lcd-table-bar-fill" style="width:${percentage}%;background:${color};"></span>
+                </span>
+                <span class="lcd-table-bar-value">${text}</span>
+            `;
+        }
+
+        if (column.type === 'status-dot') {
+            const color = LCD_STATUS_COLORS[this._status(value)] || 'var(--color-text-muted)';
+            return lcdHtml`
+                <span class="lcd-table-dot" style="background:${color};"></span>
+                <span class="lcd-table-text">${text}</span>
+            `;
+        }
+
+        return lcdHtml`<span class="lcd-table-text">${text}</span>`;
+    }
+
+    render() {
+        const title = this.prop('title', '');
+        const columns = this._columns();
+        const rows = this._rows();
+
+        if (columns.length === 0 || rows.length === 0) {
+            return lcdHtml`<div class="lcd-table-empty">No data</div>`;
+        }
+
+        // Until the first measurement every row is rendered so one can be measured
+        const pageSize = this._rowsPerPage() || rows.length;
+        const pages = Math.ceil(rows.length / pageSize);
+        const page = this._page % pages;
+        const statusKey = this.prop('statusKey', 'status');
+        const template = `grid-template-columns:${columns.map(column => column.width).join(' ')};`;
+
+        const pageRows = rows.slice(page * pageSize, (page + 1) * pageSize).map(row => {
+            const status = this._status(row[statusKey]);
+            const highlight = ['warning', 'error', 'critical'].includes(status);
+            return lcdHtml`
+                <div class="lcd-table-row ${highlight ? `lcd-table-row-${status}` : ''}" style="${template}">
+                    ${columns.map(column => {
+                        const text = this._cellText(column, row[column.key]);
+                        return lcdHtml`
+                            <div class="lcd-table-cell lcd-table-cell-${column.type} lcd-table-align-${column.align}" title="${text}">
+                                ${this._renderCell(column, row, text)}
+                            </div>
+                        `;
+                    })}
+                </div>
+            `;
+        });
+
+        return lcdHtml`
+            <div class="lcd-table">
+                ${title || pages > 1 ? lcdHtml`<div class="lcd-table-titlebar">
+                    <span class="lcd-table-title">${title}</span>
+                    ${pages > 1 ? lcdHtml`<span class="lcd-table-pages">
+                        ${Array.from({ length: pages }, (_, i) => lcdHtml`<span class="lcd-table-page-dot ${i === page ? 'lcd-table-page-dot-active' : ''}"></span>`)}
+                    </span>` : ''}
+                </div>` : ''}
+                ${this.boolProp('showHeader', true) ? lcdHtml`<div class="lcd-table-header" style="${template}">
+                    ${columns.map(column => lcdHtml`<div class="lcd-table-cell lcd-table-align-${column.align}">${column.label}</div>`)}
+                </div>` : ''}
+                <div class="lcd-table-body">
+                    ${pageRows}
+                </div>
+            </div>
+        `;
+    }
+
+    // Fit rows to the body's height, then page on a timer if they don't all fit
+    _measurePage() {
+        const body = this.querySelector('.lcd-table-body');
+        const row = body && body.firstElementChild;
+        if (row && row.offsetHeight > 0 && !(this.numberProp('pageSize', 0) > 0)) {
+            const fit = Math.max(1, Math.floor(body.clientHeight / row.offsetHeight));
+            if (fit !== this._pageSize) {
+                this._pageSize = fit;
+                this.requestUpdate();
+            }
+        }
+
+        const pageSize = this._rowsPerPage();
+        const interval = Math.max(1, this.numberProp('pageInterval', 5));
+        if (!pageSize || this._rows().length <= pageSize) {
+            this._stopPaging();
+            this._page = 0;
+        } else if (!this._pageTimer || interval !== this._pageInterval) {
+            this._stopPaging();
+            this._pageInterval = interval;
+            this._pageTimer = setInterval(() => {
+                this._page++;
+                this.requestUpdate();
+            }, interval * 1000);
+        }
+    }
+
+    _stopPaging() {
+        if (this._pageTimer) {
+            clearInterval(this._pageTimer);
+            this._pageTimer = null;
+        }
+    }
+}
+
+// Severity names accepted by <lcd-log-tail>, mapped to the three it draws
+const LCD_LOG_SEVERITIES = {
+    info: 'info',
+    information: 'info',
+    notice: 'info',
+    debug: 'info',
+    warning: 'warning',
+    warn: 'warning',
+    critical: 'critical',
+    error: 'critical',
+    err: 'critical',
+    fatal: 'critical'
+};
+
+/**
+ * <lcd-log-tail> - Rolling list of timestamped events, newest at the bottom
+ *
+ * Attributes:
+ *   title - Optional heading
+ *   entries - JSON array of entries (seeds the log; see append()); an entry is a
+ *             string or {message, severity?, time?} with severity "info" (default),
+ *             "warning" or "critical" and time in Unix ms or ISO 8601 (default: when appended)
+ *   max-lines - Entries kept (default: 50); the oldest are dropped first
+ *   timestamps - "relative" ("2m ago", default, kept current between pushes),
+ *                "clock" (14:05:09) or "none"
+ *   locale - Locale for clock timestamps (default: browser locale)
+ *
+ * Methods:
+ *   append(entry), appendMany(entries) - Add entries without re-sending `entries`
+ *   clear() - Remove every entry
+ */
+class LcdLogTail extends LcdElement {
+    constructor() {
+        super();
+        this._log = new LcdSeededBuffer(entry => this._parse(entry));
+        // Buffer and newest sequence number at the last render
+        this._lastLog = null;
+        this._lastSequence = -1;
+        this._clockTimer = null;
+    }
+
+    static get observedAttributes() {
+        return ['title', 'entries', 'max-lines', 'timestamps', 'locale', 'props'];
+    }
+
+    onDisconnect() {
+        this._stopClock();
+    }
+
+    /** Add an entry; the oldest is dropped once `max-lines` is reached. */
+    append(entry) {
+        this.appendMany([entry]);
+    }
+
+    /** Add several entries, oldest first, with a single re-render. */
+    appendMany(entries) {
+        const log = this._entries();
+        for (const entry of Array.from(entries ?? [])) {
+            const parsed = this._parse(entry);
+            if (parsed) log.push(parsed);
+        }
+        this.requestUpdate();
+    }
+
+    /** Remove every entry (a later `entries` change seeds the log again). */
+    clear() {
+        this._entries().clear();
+        this.requestUpdate();
+    }
+
+    // Entry buffer, seeded from `entries` and reseeded when that prop changes
+    _entries() {
+        return this._log.get(this.jsonProp('entries', null), Math.max(1, Math.round(this.numberProp('maxLines', 50))));
+    }
+
+    _parse(entry) {
+        if (entry === null || entry === undefined) return null;
+        if (typeof entry !== 'object') entry = { message: entry };
+
+        const time = lcdParseTime(entry.time ?? entry.timestamp);
+        const severity = String(entry.severity ?? entry.level ?? 'info').toLowerCase();
+        return {
+            message: String(entry.message ?? entry.text ?? ''),
+            severity: LCD_LOG_SEVERITIES[severity] || 'info',
+            time: Number.isFinite(time) ? time : Date.now()
+        };
+    }
+
+    _timestamp(time, mode, now) {
+        if (mode === 'clock') {
+            return lcdTimeFormat(this.prop('locale'), undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23' }).format(time);
+        }
+        return lcdFormatAgo((now - time) / 1000);
+    }
+
+    render() {
+        const title = this.prop('title', '');
+        const mode = this.prop('timestamps', 'relative');
+        const log = this._entries();
+        const entries = log.toArray();
+        const now = Date.now();
+
+        const lines = entries.length === 0
+            ? lcdHtml`<div class="lcd-log-empty">No events</div>`
+            : entries.map(entry => lcdHtml`
+                <div class="lcd-log-line lcd-log-${entry.severity}">
+                    ${mode !== 'none' ? lcdHtml`<span class="lcd-log-time">${this._timestamp(entry.time, mode, now)}</span>` : ''}
+                    <span class="lcd-log-message" title="${entry.message}">${entry.message}</span>
+                </div>
+            `);
+
+        return lcdHtml`
+            <div class="lcd-log-tail">
+                ${title ? lcdHtml`<div class="lcd-log-title">${title}</div>` : ''}
+                <div class="lcd-log-lines">${lines}</div>
+            </div>
+        `;
+    }
+
+    update() {
+        super.update();
+
+        // Slide the list up by the lines appended since the last render
+        // (a reseeded log just replaces the lines)
+        const log = this._entries();
+        const sequence = log.total - 1;
+        const added = Math.min(sequence - this._lastSequence, log.length);
+        const list = this.querySelector('.lcd-log-lines');
+        const line = list && list.lastElementChild;
+        if (log === this._lastLog && added > 0 && line && line.offsetHeight > 0 && typeof list.animate === 'function') {
+            list.animate(
+                [{ transform: `translateY(${added * line.offsetHeight}px)` }, { transform: 'none' }],
+                { duration: 300, easing: 'ease-out' }
+            );
+        }
+        this._lastLog = log;
+        this._lastSequence = sequence;
+
+        // Relative timestamps age on their own between pushes
+        if (this.prop('timestamps', 'relative') === 'relative' && log.length > 0) {
+            if (!this._clockTimer) this._clockTimer = setInterval(() => this.requestUpdate(), 1000);
+        } else {
+            this._stopClock();
+        }
+    }
+
+    _stopClock() {
+        if (this._clockTimer) {
+            clearInterval(this._clockTimer);
+            this._clockTimer = null;
+        }
+    }
+}
+
+/**
+ * LcdTickingElement - Base for elements that re-render every second on their
+ * own, with no host round-trip. Ticks land just after each whole second so
+ * every clock on the page changes together.
+ */
+class LcdTickingElement extends LcdElement {
+    constructor() {
+        super();
+        this._tickTimer = null;
+    }
+
+    onConnect() {
+        const tick = () => {
+            this._tickTimer = setTimeout(() => {
+                this.requestUpdate();
+                tick();
+            }, 1000 - Date.now() % 1000);
+        };
+        tick();
+    }
+
+    onDisconnect() {
+        clearTimeout(this._tickTimer);
+        this._tickTimer = null;
+    }
+
+    // Shared markup: optional label, the value and an optional line beneath
+    timer(value, { label = '', sub = '', state = 'normal' } = {}) {
+        const color = lcdSafeColor(this.prop('color'));
+        return lcdHtml`
+            <div class="lcd-timer lcd-timer-${state}" style="${color ? `--lcd-timer-color:${color};` : ''}">
+                ${label ? lcdHtml`<span class="lcd-timer-label">${label}</span>` : ''}
+                <span class="lcd-timer-value">${value}</span>
+                ${sub ? lcdHtml`<span class="lcd-timer-sub">${sub}</span>` : ''}
+            </div>
+        `;
+    }
+}
+
+/**
+ * <lcd-clock> - Current time, ticking locally
+ *
+ * Attributes:
+ *   mode - "digital" (default) or "analog"
+ *   hour12 - 12-hour time with AM/PM (default: false, 24-hour)
+ *   timezone - IANA time zone, e.g. "Europe/London" (default: the page's local time)
+ *   show-seconds - Show seconds on the digital clock (default: true)
+ *   show-date - Show the date beneath the time (default: false)
+ *   label - Optional label, e.g. the city
+ *   color - Color override (default: accent color)
+ *   locale - Locale for the date (default: browser locale)
+ */
+class LcdClock extends LcdTickingElement {
+    static get observedAttributes() {
+        return ['mode', 'hour12', 'timezone', 'show-seconds', 'show-date', 'label', 'color', 'locale', 'props'];
+    }
+
+    render() {
+        const now = Date.now();
+        const timeZone = this.prop('timezone', '');
+        const label = this.prop('label', '');
+        const { hour, minute, second } = lcdTimeParts(now, timeZone);
+        const date = this.boolProp('showDate', false)
+            ? lcdTimeFormat(this.prop('locale'), timeZone, { weekday: 'short', day: 'numeric', month: 'short' }).format(now)
+            : '';
+
+        if (this.prop('mode', 'digital') === 'analog') {
+            const color = lcdSafeColor(this.prop('color'));
+            const ticks = Array.from({ length: 12 }, (_, i) => lcdHtml`
+                <line class="lcd-clock-tick" x1="50" y1="${i % 3 === 0 ? 8 : 10}" x2="50" y2="14" transform="rotate(${i * 30} 50 50)"/>
+            `);
+            return lcdHtml`
+                <div class="lcd-clock-analog" style="${color ? `--lcd-timer-color:${color};` : ''}">
+                    ${label ? lcdHtml`<span class="lcd-timer-label">${label}</span>` : ''}
+                    <svg class="lcd-clock-face" viewBox="0 0 100 100">
+                        <circle class="lcd-clock-dial" cx="50" cy="50" r="46"/>
+                        ${ticks}
+                        <line class="lcd-clock-hour" x1="50" y1="54" x2="50" y2="27" transform="rotate(${(hour % 12) * 30 + minute * 0.5} 50 50)"/>
+                        <line class="lcd-clock-minute" x1="50" y1="56" x2="50" y2="15" transform="rotate(${minute * 6 + second * 0.1} 50 50)"/>
+                        <line class="lcd-clock-second" x1="50" y1="60" x2="50" y2="12" transform="rotate(${second * 6} 50 50)"/>
+                        <circle class="lcd-clock-hub" cx="50" cy="50" r="2.5"/>
+                    </svg>
+                    ${date ? lcdHtml`<span class="lcd-timer-sub">${date}</span>` : ''}
+                </div>
+            `;
+        }
+
+        const hour12 = this.boolProp('hour12', false);
+        const pad = amount => String(amount).padStart(2, '0');
+        const hours = hour12 ? String(hour % 12 || 12) : pad(hour);
+        const value = lcdHtml`${hours}:${pad(minute)}${this.boolProp('showSeconds', true)
+            ? lcdHtml`<span class="lcd-timer-seconds">:${pad(second)}</span>`
+            : ''}${hour12 ? lcdHtml`<span class="lcd-timer-suffix">${hour < 12 ? 'AM' : 'PM'}</span>` : ''}`;
+
+        return this.timer(value, { label, sub: date });
+    }
+}
+
+/**
+ * <lcd-uptime> - Time since boot, counting locally
+ *
+ * Attributes:
+ *   boot - Boot time in Unix ms or ISO 8601
+ *   seconds - Uptime in seconds when the prop was set (alternative to boot)
+ *   label - Optional label (e.g. "Uptime")
+ *   format - "clock" (12d 04:05:06, default) or "short" (12d 4h)
+ *   color - Color override (default: accent color)
+ *   locale - Locale for the day count (default: browser locale)
+ */
+class LcdUptime extends LcdTickingElement {
+    constructor() {
+        super();
+        // The `seconds` prop and when it was last changed
+        this._seed = null;
+    }
+
+    static get observedAttributes() {
+        return ['boot', 'seconds', 'label', 'format', 'color', 'locale', 'props'];
+    }
+
+    render() {
+        const now = Date.now();
+        const label = this.prop('label', '');
+
+        let uptime = NaN;
+        const seconds = this.prop('seconds', null);
+        if (seconds !== null && seconds !== '') {
+            if (!this._seed || this._seed.value !== seconds) this._seed = { value: seconds, at: now };
+            uptime = Number(seconds) + (now - this._seed.at) / 1000;
+        } else if (this.prop('boot', null) !== null) {
+            uptime = (now - lcdParseTime(this.prop('boot'))) / 1000;
+        }
+
+        if (!Number.isFinite(uptime)) return this.timer('--', { label });
+        const value = this.prop('format', 'clock') === 'short'
+            ? lcdFormatDuration(uptime)
+            : lcdFormatElapsed(uptime, this.prop('locale'));
+        return this.timer(value, { label });
+    }
+}
+
+/**
+ * <lcd-countdown> - Time left until a target, then time overdue
+ *
+ * Attributes:
+ *   target - Target time in Unix ms or ISO 8601
+ *   label - Optional label (e.g. "Next backup")
+ *   warn - Seconds before the target at which it turns the warning color (default: 0, off)
+ *   overdue-text - Shown beneath the time once the target has passed (default: "Overdue")
+ *   format - "clock" (01:02:03, default) or "short" (1h 2m)
+ *   color - Color override (default: accent color)
+ *   locale - Locale for the day count (default: browser locale)
+ */
+class LcdCountdown extends LcdTickingElement {
+    static get observedAttributes() {
+        return ['target', 'label', 'warn', 'overdue-text', 'format', 'color', 'locale', 'props'];
+    }
+
+    render() {
+        const label = this.prop('label', '');
+        const target = lcdParseTime(this.prop('target', null));
+        if (!Number.isFinite(target)) return this.timer('--', { label });
+
+        // Whole seconds left, rounded up so it reads 00:00 only at the target
+        const remaining = Math.ceil((target - Date.now()) / 1000);
+        const format = seconds => this.prop('format', 'clock') === 'short'
+            ? lcdFormatDuration(seconds)
+            : lcdFormatElapsed(seconds, this.prop('locale'));
+
+        if (remaining < 0) {
+            return this.timer(`+${format(-remaining)}`, {
+                label,
+                sub: this.prop('overdueText', 'Overdue'),
+                state: 'overdue'
+            });
+        }
+        const warn = this.numberProp('warn', 0);
+        return this.timer(format(remaining), {
+            label,
+            state: warn > 0 && remaining <= warn ? 'warning' : 'normal'
+        });
+    }
+}
+
+/**
+ * <lcd-trend> - Value with an arrow and its change over time
+ *
+ * Attributes:
+ *   value - Current value
+ *   label - Optional label
+ *   unit - Unit suffix; formats that carry a unit replace it
+ *   show-value - Show the value itself (default: true); false leaves just the change
+ *   trend - Seconds (or "5m") to measure the change over (default: since the previous value)
+ *   trend-mode - "absolute" (default) or "percent"
+ *   trend-good - "up" or "down" colors the change green or red by direction (default: neutral)
+ *   format, decimals, unit-system, locale - Value format, default "number" (see formatOptions() in lcd-core.js)
+ */
+class LcdTrendIndicator extends LcdElement {
+    constructor() {
+        super();
+        this._trend = new LcdTrendDelta(this);
+    }
+
+    static get observedAttributes() {
+        return ['value', 'label', 'unit', 'show-value', 'trend', 'trend-mode', 'trend-good',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
+    }
+
+    render() {
+        const raw = this.prop('value', '');
+        const label = this.prop('label', '');
+        const { value, unit: formattedUnit } = this.formatParts(raw, { format: 'number' });
+        const unit = formattedUnit || this.prop('unit', '');
+        // Until there is an earlier value the change reads as flat
+        const trend = this._trend.read(raw, true) || { direction: 'flat', arrow: LCD_TREND_ARROWS.flat, text: '', tone: 'neutral' };
+
+        return lcdHtml`
+            <div class="lcd-trend lcd-trend-${trend.direction}">
+                ${label ? lcdHtml`<span class="lcd-trend-label">${label}</span>` : ''}
+                ${this.boolProp('showValue', true) ? lcdHtml`<span class="lcd-trend-value">${value}${unit ? lcdHtml`<span class="lcd-trend-unit">${unit}</span>` : ''}</span>` : ''}
+                <span class="lcd-trend-delta lcd-trend-${trend.tone}">
+                    <span class="lcd-trend-arrow">${trend.arrow}</span>${trend.text}
+                </span>
+            </div>
+        `;
+    }
+}
+
+// The QR encoder below (tables, Reed-Solomon, placement and masking) is adapted from
+// Project Nayuki's QR Code generator library, https://www.nayuki.io/page/qr-code-generator-library
+// Copyright (c) Project Nayuki. MIT License; see THIRD-PARTY-NOTICES.md.
+
+// QR error-correction codewords per block and block count, per level and version (index 0 unused)
+const LCD_QR_ECC_CODEWORDS = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+const LCD_QR_ECC_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+// Level bits in the format information
+const LCD_QR_LEVEL_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+// Data masks by pattern number: true where a module is inverted
+const LCD_QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+// Multiply in GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+function lcdQrMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+// Reed-Solomon error-correction codewords for one block
+function lcdQrErrorCorrection(data, degree) {
+    // Generator polynomial (x - 1)(x - 2)(x - 4)...; leading 1 omitted
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            divisor[j] = lcdQrMultiply(divisor[j], root);
+            if (j + 1 < degree) divisor[j] ^= divisor[j + 1];
+        }
+        root = lcdQrMultiply(root, 0x02);
+    }
+
+    const remainder = new Array(degree).fill(0);
+    for (const byte of data) {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        divisor.forEach((coefficient, i) => { remainder[i] ^= lcdQrMultiply(coefficient, factor); });
+    }
+    return remainder;
+}
+
+// Modules left for data and error correction once the function patterns are placed
+function lcdQrDataModules(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const align = Math.floor(version / 7) + 2;
+        modules -= (25 * align - 10) * align - 55;
+        if (version >= 7) modules -= 36;
+    }
+    return modules;
+}
+
+function lcdQrDataCodewords(version, level) {
+    return Math.floor(lcdQrDataModules(version) / 8) - LCD_QR_ECC_CODEWORDS[level][version] * LCD_QR_ECC_BLOCKS[level][version];
+}
+
+function lcdQrAlignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+// Penalty score of a finished symbol; the mask with the lowest is used
+function lcdQrPenalty(modules) {
+    const size = modules.length;
+    let penalty = 0;
+    const finderLike = /10111010000|00001011101/g;
+    for (let i = 0; i < size; i++) {
+        const row = modules[i].map(Number).join('');
+        const column = modules.map(line => Number(line[i])).join('');
+        for (const line of [row, column]) {
+            // Runs of five or more modules of one color
+            for (const run of line.match(/0{5,}|1{5,}/g) || []) penalty += run.length - 2;
+            penalty += (line.match(finderLike) || []).length * 40;
+        }
+    }
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const color = modules[y][x];
+            if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) penalty += 3;
+        }
+    }
+    const dark = modules.reduce((sum, line) => sum + line.filter(Boolean).length, 0);
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return penalty;
+}
+
+/**
+ * Encode text as a QR code in byte mode (UTF-8) at error-correction level
+ * L, M, Q or H, using the smallest version that fits. Returns the module
+ * grid (rows of booleans, true = dark) without the quiet zone, or null when
+ * the text is too long for version 40.
+ */
+function lcdQrEncode(text, level = 'M') {
+    if (!LCD_QR_ECC_BLOCKS[level]) level = 'M';
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+
+    let version = 1;
+    const needed = v => 4 + (v < 10 ? 8 : 16) + bytes.length * 8;
+    while (version <= 40 && needed(version) > lcdQrDataCodewords(version, level) * 8) version++;
+    if (version > 40) return null;
+
+    // Mode, length, data, terminator, then pad bytes up to capacity
+    const capacity = lcdQrDataCodewords(version, level) * 8;
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0b0100, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) data.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+
+    // Split into blocks, add error correction and interleave
+    const blockCount = LCD_QR_ECC_BLOCKS[level][version];
+    const eccLength = LCD_QR_ECC_CODEWORDS[level][version];
+    const rawCodewords = Math.floor(lcdQrDataModules(version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += block.length;
+        const ecc = lcdQrErrorCorrection(block, eccLength);
+        // Short blocks get a placeholder so every block lines up when interleaving
+        if (i < shortBlocks) block.push(0);
+        blocks.push(block.concat(ecc));
+    }
+    const codewords = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortLength - eccLength || j >= shortBlocks) codewords.push(block[i]);
+        });
+    }
+
+    // Function patterns: finders, timing, alignment, format and version areas
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+    for (let i = 0; i < size; i++) {
+        set(6, i, i % 2 === 0);
+        set(i, 6, i % 2 === 0);
+    }
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+    const positions = lcdQrAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cy, i) => positions.forEach((cx, j) => {
+        // Skip the three corners taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }));
+
+    const drawFormat = mask => {
+        const value = (LCD_QR_LEVEL_BITS[level] << 3) | mask;
+        let remainder = value;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const format = ((value << 10) | remainder) ^ 0x5412;
+        const bit = i => ((format >>> i) & 1) === 1;
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true);
+    };
+    drawFormat(0);
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const info = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((info >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    }
+
+    // Codewords zigzag up and down column pairs from the bottom right, skipping the timing column
+    let index = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (const x of [right, right - 1]) {
+                if (reserved[y][x] || index >= codewords.length * 8) continue;
+                modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                index++;
+            }
+        }
+    }
+
+    const applyMask = mask => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && LCD_QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+    };
+    let best = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+        applyMask(mask);
+        drawFormat(mask);
+        const penalty = lcdQrPenalty(modules);
+        if (penalty < bestPenalty) {
+            best = mask;
+            bestPenalty = penalty;
+        }
+        // XOR again to undo
+        applyMask(mask);
+    }
+    applyMask(best);
+    drawFormat(best);
+    return modules;
+}
+
+/**
+ * <lcd-qrcode> - Scannable QR code (host address, SSH string, web UI link)
+ *
+ * Attributes:
+ *   value - Text to encode (UTF-8, byte mode)
+ *   level - Error correction: "L" (7%), "M" (15%, default), "Q" (25%) or "H" (30%)
+ *   label - Optional caption beneath the code, e.g. the URL itself
+ *   color - Module color (default: accent color)
+ *   background - Background color (default: theme background)
+ *   margin - Quiet zone around the code in modules (default: 4)
+ *
+ * Modules are always drawn darker than the background, swapping the two
+ * colors if needed; when they still contrast less than 4:1 the code falls
+ * back to black on white so it stays scannable.
+ */
+class LcdQrCode extends LcdElement {
+    static get observedAttributes() {
+        return ['value', 'level', 'label', 'color', 'background', 'margin', 'props'];
+    }
+
+    // Foreground and background that scanners can read, as CSS colors
+    _colors() {
+        let fg = lcdSafeColor(this.prop('color'), 'var(--color-accent)');
+        let bg = lcdSafeColor(this.prop('background'), 'var(--color-background)');
+        const fgRgb = lcdColorRgb(fg);
+        const bgRgb = lcdColorRgb(bg);
+        if (!fgRgb || !bgRgb) return { fg: '#000000', bg: '#ffffff', fallback: true };
+
+        // Scanners expect dark modules on a light background
+        if (lcdLuminance(fgRgb) > lcdLuminance(bgRgb)) [fg, bg] = [bg, fg];
+        if (lcdContrastRatio(fgRgb, bgRgb) < 4) return { fg: '#000000', bg: '#ffffff', fallback: true };
+        return { fg, bg, fallback: false };
+    }
+
+    render() {
+        const value = String(this.prop('value', ''));
+        const label = this.prop('label', '');
+        const level = String(this.prop('level', 'M')).toUpperCase();
+        const margin = Math.max(0, Math.round(this.numberProp('margin', 4)));
+
+        if (!value) return lcdHtml`<div class="lcd-qrcode-empty">No data</div>`;
+
+        // Encoding is the costly part; redo it only when the text or level changes
+        const key = `${level}|${value}`;
+        if (!this._qr || this._qr.key !== key) this._qr = { key, modules: lcdQrEncode(value, level) };
+        const modules = this._qr.modules;
+        if (!modules) return lcdHtml`<div class="lcd-qrcode-empty">Too long for a QR code</div>`;
+
+        const { fg, bg, fallback } = this._colors();
+        const size = modules.length + margin * 2;
+        let path = '';
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+        }));
+
+        return lcdHtml`
+            <div class="lcd-qrcode ${fallback ? 'lcd-qrcode-fallback' : ''}">
+                <svg class="lcd-qrcode-svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges" role="img" aria-label="${label || value}">
+                    <rect width="${size}" height="${size}" fill="${bg}"/>
+                    <path d="${path}" fill="${fg}"/>
+                </svg>
+                ${label ? lcdHtml`<span class="lcd-qrcode-label">${label}</span>` : ''}
+            </div>
+        `;
+    }
+}
+
+/**
+ * <lcd-rings> - Concentric arcs showing several percentages in one gauge (CPU, GPU, RAM)
+ *
+ * Attributes:
+ *   rings - JSON array of {label, value, max?, color?, thresholds?, format?, decimals?, unit?},
+ *           outermost first; 2-6 rings are drawn, extra ones are ignored
+ *   label - Optional title under the centre readout
+ *   max - Default max for rings without their own (default: 100)
+ *   center - "cycle" (default: step through the rings in the centre) or "none"
+ *   cycle-interval - Seconds each ring stays in the centre (default: 3)
+ *   legend - "none" (default), "right" or "bottom": list every ring with its value
+ *   thresholds - Default threshold profile for rings without their own (default: "usage")
+ *   format, decimals, unit-system, locale - Value format, default "percent" of each ring's max (see formatOptions() in lcd-core.js)
+ *   duration, easing - Arc animation (see LcdTweens in lcd-core.js)
+ */
+class LcdRings extends LcdElement {
+    constructor() {
+        super();
+        this._tweens = new LcdTweens(this);
+        this._thresholds = new LcdThresholds(this);
+        this._cycle = 0;
+        this._cycleTimer = null;
+        this._cycleInterval = 0;
+        this._ringCount = 0;
+    }
+
+    static get observedAttributes() {
+        return ['rings', 'label', 'max', 'center', 'cycle-interval', 'legend', 'thresholds',
+            'format', 'decimals', 'unit-system', 'locale', 'duration', 'easing', 'props'];
+    }
+
+    onDisconnect() {
+        this._tweens.finish();
+        this._stopCycle();
+    }
+
+    update() {
+        super.update();
+        this._scheduleCycle();
+    }
+
+    _rings() {
+        const rings = this.jsonProp('rings', []);
+        if (!Array.isArray(rings)) return [];
+        const defaultMax = this.numberProp('max', 100);
+        return rings.filter(ring => ring && typeof ring === 'object').slice(0, 6).map((ring, index) => {
+            const value = Number(ring.value) || 0;
+            const max = Number(ring.max) > 0 ? Number(ring.max) : defaultMax;
+            const percentage = Math.min(100, Math.max(0, (value / max) * 100));
+
+            // A ring's own thresholds replace the element's for that ring only
+            const profile = ring.thresholds !== undefined
+                ? lcdResolveThresholds(ring.thresholds, 'usage')
+                : this._thresholds.profile('usage');
+            const level = lcdThresholdLevel(profile.basis === 'value' ? value : percentage, profile);
+
+            const format = this.formatOptions({ format: 'percent' });
+            if (typeof ring.format === 'string') format.format = ring.format;
+            if (ring.decimals !== undefined && ring.decimals !== null) format.decimals = Number(ring.decimals);
+            const showValue = format.format !== 'percent';
+            const unit = showValue && ring.unit !== undefined ? String(ring.unit) : '';
+
+            return {
+                label: ring.label !== undefined ? String(ring.label) : '',
+                percentage: this._tweens.value(`ring-${index}`, percentage),
+                level,
+                color: lcdSafeColor(ring.color, lcdLevelColor(level, profile.kind)),
+                text: lcdFormat(showValue ? value : percentage, format) + unit
+            };
+        });
+    }
+
+    render() {
+        const rings = this._rings();
+        const label = this.prop('label', '');
+        const cycling = this.prop('center', 'cycle') !== 'none';
+        const legend = ['right', 'bottom'].includes(this.prop('legend')) ? this.prop('legend') : 'none';
+        this._ringCount = rings.length;
+
+        if (rings.length === 0) return lcdHtml`<div class="lcd-rings-empty">No data</div>`;
+
+        // Rings share the band between the outer edge and the centre readout, outermost first
+        const outer = 47;
+        const inner = 20;
+        const step = (outer - inner) / Math.max(2, rings.length);
+        const width = Math.min(9, step * 0.75);
+        const active = this._cycle % rings.length;
+        const current = rings[active];
+
+        const arcs = rings.map((ring, index) => {
+            const radius = outer - width / 2 - index * step;
+            const circumference = 2 * Math.PI * radius;
+            const offset = circumference - (ring.percentage / 100) * circumference;
+            const highlight = cycling && rings.length > 1 ? (index === active ? 'lcd-rings-active' : 'lcd-rings-dim') : '';
+            return lcdHtml`
+                <circle class="lcd-rings-track" cx="50" cy="50" r="${radius}" stroke-width="${width}"/>
+                <circle class="lcd-rings-fill ${highlight}" cx="50" cy="50" r="${radius}" stroke="${ring.color}" stroke-width="${width}"
+                    stroke-dasharray="${circumference}" stroke-dashoffset="${offset}"/>
+            `;
+        });
+
+        return lcdHtml`
+            <div class="lcd-rings lcd-rings-legend-${legend}">
+                <div class="lcd-rings-gauge">
+                    <svg viewBox="0 0 100 100" class="lcd-rings-svg">${arcs}</svg>
+                    ${cycling ? lcdHtml`
+                        <div class="lcd-rings-center">
+                            <span class="lcd-rings-value" style="color:${current.color}">${current.text}</span>
+                            ${current.label ? lcdHtml`<span class="lcd-rings-name">${current.label}</span>` : ''}
+                            ${label ? lcdHtml`<span class="lcd-rings-label">${label}</span>` : ''}
+                        </div>
+                    ` : label ? lcdHtml`
+                        <div class="lcd-rings-center">
+                            <span class="lcd-rings-label">${label}</span>
+                        </div>
+                    ` : ''}
+                </div>
+                ${legend !== 'none' ? lcdHtml`
+                    <ul class="lcd-rings-items">
+                        ${rings.map(ring => lcdHtml`
+                            <li class="lcd-rings-item lcd-rings-item-${ring.level}">
+                                <span class="lcd-rings-swatch" style="background:${ring.color}"></span>
+                                <span class="lcd-rings-item-label">${ring.label}</span>
+                                <span class="lcd-rings-item-value" style="color:${ring.color}">${ring.text}</span>
+                            </li>
+                        `)}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    // Step the centre readout through the rings while there is more than one to show
+    _scheduleCycle() {
+        const interval = Math.max(1, this.numberProp('cycleInterval', 3));
+        if (this.prop('center', 'cycle') === 'none' || this._ringCount < 2) {
+            this._stopCycle();
+            this._cycle = 0;
+        } else if (!this._cycleTimer || interval !== this._cycleInterval) {
+            this._stopCycle();
+            this._cycleInterval = interval;
+            this._cycleTimer = setInterval(() => {
+                this._cycle++;
+                this.requestUpdate();
+            }, interval * 1000);
+        }
+    }
+
+    _stopCycle() {
+        if (this._cycleTimer) {
+            clearInterval(this._cycleTimer);
+            this._cycleTimer = null;
+        }
+    }
+}
+
+/**
+ * <lcd-donut> - Circular percentage display
+ *
+ * Attributes:
+ *   value - Current value
+ *   max - Maximum value (default: 100)
+ *   label - Center label
+ *   color - Fill color (auto-detected based on percentage if not provided)
+ *   format, decimals, unit-system, locale - Center text format, default "percent" (see formatOptions() in lcd-core.js)
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage")
+ *   duration - Animation duration in ms when the value changes (default: 500, 0 disables)
+ *   easing - "ease-out" (default), "ease-in", "ease-in-out" or "linear"
+ */
+class LcdDonut extends LcdElement {
+    constructor() {
+        super();
+        this._tweens = new LcdTweens(this);
+        this._thresholds = new LcdThresholds(this);
+    }
+
+    static get observedAttributes() {
+        return ['value', 'max', 'label', 'color', 'thresholds', 'duration', 'easing',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
+    }
+
+    onDisconnect() {
+        this._tweens.finish();
+    }
+
+    render() {
+        const value = this.numberProp('value', 0);
+        const max = this.numberProp('max', 100);
+        const label = this.prop('label', '');
+
+        const percentage = this._tweens.value('percentage', Math.min(100, Math.max(0, (value / max) * 100)));
+        const color = lcdSafeColor(this.prop('color'), this._thresholds.color(percentage / 100 * max, percentage, 'usage'));
 
         const radius = 40;
         const circumference = 2 * Math.PI * radius;
         const strokeDashoffset = circumference - (percentage / 100) * circumference;
 
-        this.innerHTML = `
+        return lcdHtml`
             <div class="lcd-donut">
                 <div class="lcd-donut-container">
                     <svg viewBox="0 0 100 100" class="lcd-donut-svg">
@@ -499,8 +2512,8 @@ class LcdDonut extends HTMLElement {
                             stroke-linecap="round" class="lcd-donut-fill"/>
                     </svg>
                     <div class="lcd-donut-center">
-                        <span class="lcd-donut-value" style="color:${color}">${Math.round(percentage)}%</span>
-                        ${label ? `<span class="lcd-donut-label">${label}</span>` : ''}
+                        <span class="lcd-donut-value" style="color:${color}">${this.formatPercentage(percentage, max)}</span>
+                        ${label ? lcdHtml`<span class="lcd-donut-label">${label}</span>` : ''}
                     </div>
                 </div>
             </div>
@@ -516,5 +2529,21 @@ customElements.define('lcd-info-list', LcdInfoList);
 customElements.define('lcd-sparkline', LcdSparkline);
 customElements.define('lcd-status-dot', LcdStatusDot);
 customElements.define('lcd-donut', LcdDonut);
+customElements.define('lcd-toggle', LcdToggle);
+customElements.define('lcd-status-grid', LcdStatusGrid);
+customElements.define('lcd-icon', LcdIcon);
+customElements.define('lcd-stacked-bar', LcdStackedBar);
+customElements.define('lcd-segment-bar', LcdSegmentBar);
+customElements.define('lcd-seven-segment', LcdSevenSegment);
+customElements.define('lcd-fan', LcdFan);
+customElements.define('lcd-ranking', LcdRanking);
+customElements.define('lcd-table', LcdTable);
+customElements.define('lcd-log-tail', LcdLogTail);
+customElements.define('lcd-clock', LcdClock);
+customElements.define('lcd-uptime', LcdUptime);
+customElements.define('lcd-countdown', LcdCountdown);
+customElements.define('lcd-trend', LcdTrendIndicator);
+customElements.define('lcd-qrcode', LcdQrCode);
+customElements.define('lcd-rings', LcdRings);
 
 console.log('LCDPossible components loaded');
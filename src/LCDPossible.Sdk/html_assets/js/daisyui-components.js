@@ -2,6 +2,7 @@
  * LCDPossible DaisyUI-Based Components
  * Uses DaisyUI's built-in radial-progress, progress, and stat components.
  * These are CSS-only and theme-integrated - no additional charting library needed.
+ * Requires lcd-core.js (LcdElement base class) to be loaded first.
  */
 
 // Helper to get CSS variable value
@@ -10,20 +11,24 @@ function getDaisyCssVar(name) {
 }
 
 // Get color class based on percentage (for usage indicators)
-function getUsageColorClass(percentage) {
-    if (percentage >= 90) return 'text-error';
-    if (percentage >= 70) return 'text-warning';
-    if (percentage >= 50) return 'text-info';
-    return 'text-success';
+function getUsageColorClass(percentage, thresholds = 'usage') {
+    return lcdThresholdClass(percentage, thresholds, 'usage');
 }
 
 // Get color class based on temperature
-function getTempColorClass(celsius) {
-    if (celsius >= 85) return 'text-error';
-    if (celsius >= 70) return 'text-warning';
-    return 'text-primary';
+function getTempColorClass(celsius, thresholds = 'cpu-temp') {
+    return lcdThresholdClass(celsius, thresholds, 'cpu-temp');
 }
 
+// DaisyUI theme variable for each semantic color (used as oklch(var(--xx)))
+const DAISY_TONE_VARS = {
+    primary: 'p',
+    success: 'su',
+    info: 'in',
+    warning: 'wa',
+    error: 'er'
+};
+
 /**
  * <lcd-daisy-gauge> - Circular gauge using DaisyUI radial-progress
  *
@@ -35,47 +40,46 @@ function getTempColorClass(celsius) {
  *   type - "usage" or "temp" for auto-coloring
  *   size - "sm", "md" (default), "lg", "xl"
  *   color - Override color class (text-primary, text-success, etc.)
+ *   format, decimals, unit-system, locale - Center value format, default "number" (see formatOptions() in lcd-core.js)
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage", or "cpu-temp" when type is "temp")
+ *   duration - Animation duration in ms when the value changes (default: 500, 0 disables)
+ *   easing - "ease-out" (default), "ease-in", "ease-in-out" or "linear"
  */
-class LcdDaisyGauge extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdDaisyGauge extends LcdElement {
+    constructor() {
+        super();
+        this._tweens = new LcdTweens(this);
+        this._thresholds = new LcdThresholds(this);
     }
 
     static get observedAttributes() {
-        return ['value', 'max', 'label', 'unit', 'type', 'size', 'color', 'props'];
+        return ['value', 'max', 'label', 'unit', 'type', 'size', 'color', 'thresholds', 'duration', 'easing',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        this.render();
+    onDisconnect() {
+        this._tweens.finish();
     }
 
     render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-
-        const value = parseFloat(props.value ?? this.getAttribute('value') ?? 0);
-        const max = parseFloat(props.max ?? this.getAttribute('max') ?? 100);
-        const label = props.label ?? this.getAttribute('label') ?? '';
-        const unit = props.unit ?? this.getAttribute('unit') ?? '';
-        const type = props.type ?? this.getAttribute('type') ?? 'usage';
-        const size = props.size ?? this.getAttribute('size') ?? 'md';
-        const colorOverride = props.color ?? this.getAttribute('color');
+        const value = this._tweens.value('value', this.numberProp('value', 0));
+        const max = this.numberProp('max', 100);
+        const label = this.prop('label', '');
+        const unit = this.prop('unit', '');
+        const type = this.prop('type', 'usage');
+        const size = this.prop('size', 'md');
+        const colorOverride = lcdSafeClass(this.prop('color'));
 
         const percentage = Math.min(100, Math.max(0, (value / max) * 100));
-        const displayValue = Math.round(value);
+        const display = this.formatParts(value);
+        const displayText = display.unit ? this.formatValue(value) : `${display.value}${unit}`;
 
         // Determine color class
         let colorClass;
         if (colorOverride) {
             colorClass = colorOverride;
-        } else if (type === 'temp') {
-            colorClass = getTempColorClass(value);
         } else {
-            colorClass = getUsageColorClass(percentage);
+            colorClass = this._thresholds.className(value, percentage, type === 'temp' ? 'cpu-temp' : 'usage');
         }
 
         // Size mapping to CSS variables
@@ -87,17 +91,17 @@ class LcdDaisyGauge extends HTMLElement {
         };
         const sizeConfig = sizeMap[size] || sizeMap['md'];
 
-        this.innerHTML = `
+        return lcdHtml`
             <div class="lcd-daisy-gauge-wrapper flex flex-col items-center justify-center h-full gap-2">
                 <div class="radial-progress ${colorClass} bg-base-300 border-4 border-base-300"
                      style="--value:${percentage}; --size:${sizeConfig.size}; --thickness:${sizeConfig.thickness};"
                      role="progressbar"
-                     aria-valuenow="${displayValue}"
+                     aria-valuenow="${Math.round(value)}"
                      aria-valuemin="0"
                      aria-valuemax="${max}">
-                    <span class="${sizeConfig.fontSize} font-bold font-mono">${displayValue}${unit}</span>
+                    <span class="${sizeConfig.fontSize} font-bold font-mono">${displayText}</span>
                 </div>
-                ${label ? `<span class="text-sm font-semibold text-primary uppercase tracking-widest">${label}</span>` : ''}
+                ${label ? lcdHtml`<span class="text-sm font-semibold text-primary uppercase tracking-widest">${label}</span>` : ''}
             </div>
         `;
     }
@@ -111,50 +115,54 @@ class LcdDaisyGauge extends HTMLElement {
  *   max - Maximum value (default: 100)
  *   label - Label text
  *   show-percent - Show percentage (default: true)
+ *   format, decimals, unit-system, locale - Text format, default "percent" (see formatOptions() in lcd-core.js)
  *   type - "usage" for auto-coloring
  *   color - Override color class (progress-primary, progress-success, etc.)
  *   size - "xs", "sm", "md" (default), "lg"
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage")
+ *   duration - Animation duration in ms when the value changes (default: 500, 0 disables)
+ *   easing - "ease-out" (default), "ease-in", "ease-in-out" or "linear"
+ *   peak-hold - Seconds a peak marker holds the recent maximum before dropping (true means 1.5)
+ *   peak-decay - Speed of the peak marker's drop in percent per second (default: 50)
+ *   average - Show a rolling-average tick over this many seconds (true means 30)
  */
-class LcdDaisyProgress extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdDaisyProgress extends LcdElement {
+    constructor() {
+        super();
+        this._tweens = new LcdTweens(this);
+        this._thresholds = new LcdThresholds(this);
+        this._levelMarkers = new LcdLevelMarkers(this);
     }
 
     static get observedAttributes() {
-        return ['value', 'max', 'label', 'show-percent', 'type', 'color', 'size', 'props'];
+        return ['value', 'max', 'label', 'show-percent', 'type', 'color', 'size', 'thresholds', 'duration', 'easing',
+            'peak-hold', 'peak-decay', 'average', 'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        this.render();
+    onDisconnect() {
+        this._tweens.finish();
+        this._levelMarkers.cancel();
     }
 
     render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-
-        const value = parseFloat(props.value ?? this.getAttribute('value') ?? 0);
-        const max = parseFloat(props.max ?? this.getAttribute('max') ?? 100);
-        const label = props.label ?? this.getAttribute('label') ?? '';
-        const showPercent = (props.showPercent ?? props.show_percent ?? this.getAttribute('show-percent')) !== 'false';
-        const type = props.type ?? this.getAttribute('type') ?? 'usage';
-        const colorOverride = props.color ?? this.getAttribute('color');
-        const size = props.size ?? this.getAttribute('size') ?? 'md';
+        const target = this.numberProp('value', 0);
+        const value = this._tweens.value('value', target);
+        const max = this.numberProp('max', 100);
+        const label = this.prop('label', '');
+        const showPercent = this.boolProp('showPercent', true);
+        const type = this.prop('type', 'usage');
+        const colorOverride = lcdSafeClass(this.prop('color'));
+        const size = this.prop('size', 'md');
 
         const percentage = Math.min(100, Math.max(0, (value / max) * 100));
+        const { peak, fall, average } = this._levelMarkers.read(Math.min(100, Math.max(0, (target / max) * 100)));
 
         // Determine progress color class
         let colorClass;
         if (colorOverride) {
             colorClass = colorOverride;
-        } else if (type === 'usage') {
-            if (percentage >= 90) colorClass = 'progress-error';
-            else if (percentage >= 70) colorClass = 'progress-warning';
-            else if (percentage >= 50) colorClass = 'progress-info';
-            else colorClass = 'progress-success';
+        } else if (type === 'usage' || this.prop('thresholds')) {
+            colorClass = this._thresholds.className(value, percentage, 'usage', 'progress');
         } else {
             colorClass = 'progress-primary';
         }
@@ -164,15 +172,19 @@ class LcdDaisyProgress extends HTMLElement {
         const labelSize = size === 'lg' ? 'text-xl' : size === 'md' ? 'text-lg' : 'text-base';
         const valueSize = size === 'lg' ? 'text-2xl' : size === 'md' ? 'text-xl' : 'text-lg';
 
-        this.innerHTML = `
+        return lcdHtml`
             <div class="lcd-daisy-progress-wrapper flex flex-col h-full justify-center gap-2">
-                ${label || showPercent ? `
+                ${label || showPercent ? lcdHtml`
                 <div class="flex justify-between items-baseline">
-                    ${label ? `<span class="${labelSize} font-semibold text-primary uppercase tracking-wider">${label}</span>` : '<span></span>'}
-                    ${showPercent ? `<span class="${valueSize} font-bold font-mono text-base-content">${Math.round(percentage)}%</span>` : ''}
+                    ${label ? lcdHtml`<span class="${labelSize} font-semibold text-primary uppercase tracking-wider">${label}</span>` : lcdHtml`<span></span>`}
+                    ${showPercent ? lcdHtml`<span class="${valueSize} font-bold font-mono text-base-content">${this.formatPercentage(percentage, max)}</span>` : ''}
                 </div>
                 ` : ''}
-                <progress class="progress ${colorClass} w-full ${sizeClass}" value="${value}" max="${max}"></progress>
+                <div class="relative w-full">
+                    <progress class="progress ${colorClass} w-full ${sizeClass} block" value="${value}" max="${max}"></progress>
+                    ${peak !== null ? lcdHtml`<div class="absolute -top-1 -bottom-1 w-1 -ml-1 rounded-sm bg-base-content transition-[left] ease-in" style="left:${peak}%;transition-duration:${fall}s;"></div>` : ''}
+                    ${average !== null ? lcdHtml`<div class="absolute -top-1 -bottom-1 w-0.5 -ml-px bg-base-content/50" style="left:${average}%;"></div>` : ''}
+                </div>
             </div>
         `;
     }
@@ -184,43 +196,52 @@ class LcdDaisyProgress extends HTMLElement {
  * Attributes:
  *   title - Stat title
  *   value - Main value
- *   unit - Unit suffix
+ *   unit - Unit suffix; formats that carry a unit replace it
  *   desc - Description text
  *   status - "success", "warning", "error", "info" for value color
  *   size - "sm", "md" (default), "lg"
- *   icon - Optional icon (SVG string or emoji)
+ *   icon - Optional icon: a name from the built-in set (see <lcd-icon>), an emoji or short text
+ *   fit - Keep long text on one line: "shrink" (smaller font), "marquee" (scroll) or "ellipsis"
+ *   trend - Show the change under the value: seconds (or "5m") to measure it over,
+ *           or true for the change since the previous value
+ *   trend-mode - "absolute" (default) or "percent"
+ *   trend-good - "up" or "down" colors the change green or red by direction (default: neutral)
+ *   format, decimals, unit-system, locale - Value format, default "raw" (see formatOptions() in lcd-core.js)
  */
-class LcdDaisyStat extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdDaisyStat extends LcdElement {
+    constructor() {
+        super();
+        this._trend = new LcdTrendDelta(this);
+        this._fit = new LcdFit(this);
     }
 
     static get observedAttributes() {
-        return ['title', 'value', 'unit', 'desc', 'status', 'size', 'icon', 'props'];
+        return ['title', 'value', 'unit', 'desc', 'status', 'size', 'icon', 'fit',
+            'trend', 'trend-mode', 'trend-good', 'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        this.render();
+    onDisconnect() {
+        this._fit.disconnect();
     }
 
-    render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
+    update() {
+        super.update();
+        this._fit.apply();
+    }
 
-        const title = props.title ?? this.getAttribute('title') ?? '';
-        const value = props.value ?? this.getAttribute('value') ?? '';
-        const unit = props.unit ?? this.getAttribute('unit') ?? '';
-        const desc = props.desc ?? this.getAttribute('desc') ?? '';
-        const status = props.status ?? this.getAttribute('status') ?? '';
-        const size = props.size ?? this.getAttribute('size') ?? 'md';
-        const icon = props.icon ?? this.getAttribute('icon') ?? '';
+    render() {
+        const title = this.prop('title', '');
+        const { value, unit: formattedUnit } = this.formatParts(this.prop('value', ''), { format: 'raw' });
+        const unit = formattedUnit || this.prop('unit', '');
+        const desc = this.prop('desc', '');
+        const status = this.prop('status', '');
+        const size = this.prop('size', 'md');
+        const icon = this.prop('icon', '');
+        const trend = this._trend.read(this.prop('value', ''));
+        const trendClass = { good: 'text-success', bad: 'text-error', neutral: 'text-base-content/60' };
 
         // Status color class for value
-        const statusClass = status ? `text-${status}` : 'text-base-content';
+        const statusClass = lcdSafeClass(status ? `text-${status}` : '', 'text-base-content');
 
         // Size mapping
         const sizeMap = {
@@ -230,12 +251,13 @@ class LcdDaisyStat extends HTMLElement {
         };
         const sizeConfig = sizeMap[size] || sizeMap['md'];
 
-        this.innerHTML = `
+        return lcdHtml`
             <div class="stat bg-base-200/50 rounded-lg border border-primary/10 h-full flex flex-col justify-center">
-                ${icon ? `<div class="stat-figure text-primary">${icon}</div>` : ''}
-                ${title ? `<div class="stat-title ${sizeConfig.title} uppercase tracking-wider font-semibold text-primary">${title}</div>` : ''}
-                <div class="stat-value ${sizeConfig.value} ${statusClass} font-mono truncate">${value}${unit ? `<span class="text-base-content/60 text-lg ml-1">${unit}</span>` : ''}</div>
-                ${desc ? `<div class="stat-desc ${sizeConfig.desc} text-base-content/60">${desc}</div>` : ''}
+                ${icon ? lcdHtml`<div class="stat-figure text-primary">${lcdIcon(icon, 'w-8 h-8') || icon}</div>` : ''}
+                ${title ? lcdHtml`<div class="stat-title ${sizeConfig.title} uppercase tracking-wider font-semibold text-primary" data-fit>${lcdFitSpan(title)}</div>` : ''}
+                <div class="stat-value ${sizeConfig.value} ${statusClass} font-mono truncate" data-fit>${lcdFitSpan(lcdHtml`${value}${unit ? lcdHtml`<span class="text-base-content/60 text-lg ml-1">${unit}</span>` : ''}`)}</div>
+                ${trend ? lcdHtml`<div class="stat-desc ${sizeConfig.desc} ${trendClass[trend.tone]} font-mono font-semibold">${trend.arrow} ${trend.text}</div>` : ''}
+                ${desc ? lcdHtml`<div class="stat-desc ${sizeConfig.desc} text-base-content/60" data-fit>${lcdFitSpan(desc)}</div>` : ''}
             </div>
         `;
     }
@@ -251,34 +273,26 @@ class LcdDaisyStat extends HTMLElement {
  *   type - "usage" for auto-coloring
  *   color - Override color class
  *   size - "sm", "md" (default), "lg"
+ *   format, decimals, unit-system, locale - Center text format, default "percent" (see formatOptions() in lcd-core.js)
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage")
  */
-class LcdDaisyDonut extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdDaisyDonut extends LcdElement {
+    constructor() {
+        super();
+        this._thresholds = new LcdThresholds(this);
     }
 
     static get observedAttributes() {
-        return ['value', 'max', 'label', 'type', 'color', 'size', 'props'];
-    }
-
-    attributeChangedCallback() {
-        this.render();
+        return ['value', 'max', 'label', 'type', 'color', 'size', 'thresholds', 'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
     render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-
-        const value = parseFloat(props.value ?? this.getAttribute('value') ?? 0);
-        const max = parseFloat(props.max ?? this.getAttribute('max') ?? 100);
-        const label = props.label ?? this.getAttribute('label') ?? '';
-        const type = props.type ?? this.getAttribute('type') ?? 'usage';
-        const colorOverride = props.color ?? this.getAttribute('color');
-        const size = props.size ?? this.getAttribute('size') ?? 'md';
+        const value = this.numberProp('value', 0);
+        const max = this.numberProp('max', 100);
+        const label = this.prop('label', '');
+        const type = this.prop('type', 'usage');
+        const colorOverride = lcdSafeClass(this.prop('color'));
+        const size = this.prop('size', 'md');
 
         const percentage = Math.min(100, Math.max(0, (value / max) * 100));
 
@@ -286,11 +300,8 @@ class LcdDaisyDonut extends HTMLElement {
         let fillColor;
         if (colorOverride) {
             fillColor = `oklch(var(--${colorOverride.replace('text-', '')}))`;
-        } else if (type === 'usage') {
-            if (percentage >= 90) fillColor = 'oklch(var(--er))';
-            else if (percentage >= 70) fillColor = 'oklch(var(--wa))';
-            else if (percentage >= 50) fillColor = 'oklch(var(--in))';
-            else fillColor = 'oklch(var(--su))';
+        } else if (type === 'usage' || this.prop('thresholds')) {
+            fillColor = `oklch(var(--${DAISY_TONE_VARS[this._thresholds.tone(value, percentage, 'usage')]}))`;
         } else {
             fillColor = 'oklch(var(--p))';
         }
@@ -308,7 +319,7 @@ class LcdDaisyDonut extends HTMLElement {
         // Calculate the angle for conic gradient (percentage to degrees)
         const angle = (percentage / 100) * 360;
 
-        this.innerHTML = `
+        return lcdHtml`
             <div class="lcd-daisy-donut-wrapper flex flex-col items-center justify-center h-full gap-2">
                 <div class="relative flex items-center justify-center"
                      style="width: ${sizeConfig.size}; height: ${sizeConfig.size};">
@@ -321,10 +332,10 @@ class LcdDaisyDonut extends HTMLElement {
                     <div class="absolute rounded-full bg-base-100 flex items-center justify-center"
                          style="width: 70%; height: 70%;">
                         <span class="${sizeConfig.fontSize} font-bold font-mono"
-                              style="color: ${fillColor};">${Math.round(percentage)}%</span>
+                              style="color: ${fillColor};">${this.formatPercentage(percentage, max)}</span>
                     </div>
                 </div>
-                ${label ? `<span class="${sizeConfig.labelSize} font-semibold text-base-content/70 uppercase tracking-wider">${label}</span>` : ''}
+                ${label ? lcdHtml`<span class="${sizeConfig.labelSize} font-semibold text-base-content/70 uppercase tracking-wider">${label}</span>` : ''}
             </div>
         `;
     }
@@ -334,57 +345,60 @@ class LcdDaisyDonut extends HTMLElement {
  * <lcd-daisy-sparkline> - Simple SVG sparkline with DaisyUI theming
  *
  * Attributes:
- *   values - JSON array of numbers
+ *   values - JSON array of numbers (seeds the history; see push())
+ *   capacity - Maximum samples kept (default: 60, or the length of values if longer)
  *   label - Optional label
  *   color - Override color class
  *   style - "line" (default), "area", "bar"
+ *   y-min, y-max - Fixed y-axis range (default: the data's min and max)
+ *   thresholds - Threshold profile name, breakpoint array or object; each breakpoint
+ *                is drawn as a dashed reference line in its level color
+ *   markers - Annotate "min", "max" and/or "avg" (comma separated, or "all")
+ *   format, decimals, unit-system, locale - Header value format, default "number" (see formatOptions() in lcd-core.js)
+ *
+ * Methods:
+ *   push(value), pushMany(values) - Append samples without re-sending `values`
  */
-class LcdDaisySparkline extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdDaisySparkline extends LcdElement {
+    constructor() {
+        super();
+        this._thresholds = new LcdThresholds(this);
+        this._history = new LcdSampleHistory(this);
     }
 
     static get observedAttributes() {
-        return ['values', 'label', 'color', 'style', 'props'];
+        return ['values', 'capacity', 'label', 'color', 'style', 'y-min', 'y-max', 'thresholds', 'markers',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        this.render();
+    /** Append a sample; the oldest is dropped once `capacity` is reached. */
+    push(value) {
+        this.pushMany([value]);
     }
 
-    render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-
-        let values = props.values ?? [];
-        if (this.hasAttribute('values') && !props.values) {
-            try {
-                values = JSON.parse(this.getAttribute('values'));
-            } catch (e) {}
-        }
+    /** Append several samples, oldest first, with a single re-render. */
+    pushMany(values) {
+        this._history.push(values);
+        this.requestUpdate();
+    }
 
-        if (!Array.isArray(values)) values = [];
+    render() {
+        const values = this._history.buffer().toArray();
 
-        const label = props.label ?? this.getAttribute('label') ?? '';
-        const colorClass = props.color ?? this.getAttribute('color') ?? 'text-primary';
-        const chartStyle = props.style ?? this.getAttribute('style') ?? 'line';
+        const label = this.prop('label', '');
+        const colorClass = lcdSafeClass(this.prop('color'), 'text-primary');
+        const chartStyle = this.prop('style', 'line');
 
         if (values.length === 0) {
-            this.innerHTML = `
+            return lcdHtml`
                 <div class="flex items-center justify-center h-full text-base-content/50 text-sm uppercase tracking-wider">
                     No data
                 </div>
             `;
-            return;
         }
 
-        const min = Math.min(...values);
-        const max = Math.max(...values);
-        const range = max - min || 1;
+        const { min, max } = this._history.range(values);
+        const range = max - min;
         const currentValue = values[values.length - 1];
 
         // SVG dimensions with padding for stroke
@@ -394,6 +408,13 @@ class LcdDaisySparkline extends HTMLElement {
         const drawWidth = viewWidth - (padding * 2);
         const drawHeight = viewHeight - (padding * 2);
 
+        // Values outside a fixed y-min/y-max are clamped to the chart edge
+        const level = v => Math.min(1, Math.max(0, (v - min) / range));
+        const toY = v => padding + drawHeight - level(v) * drawHeight;
+        const toX = chartStyle === 'bar'
+            ? i => padding + ((i + 0.5) / values.length) * drawWidth
+            : i => padding + (i / (values.length - 1 || 1)) * drawWidth;
+
         let svgContent;
 
         if (chartStyle === 'bar') {
@@ -401,17 +422,13 @@ class LcdDaisySparkline extends HTMLElement {
             const barGap = (drawWidth / values.length) * 0.1;
             svgContent = values.map((v, i) => {
                 const x = padding + barGap + (i * (drawWidth / values.length));
-                const barHeight = Math.max(1, ((v - min) / range) * drawHeight);
+                const barHeight = Math.max(1, level(v) * drawHeight);
                 const y = padding + drawHeight - barHeight;
-                return `<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" class="fill-primary opacity-80" rx="1"/>`;
-            }).join('');
+                return lcdHtml`<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" class="fill-primary opacity-80" rx="1"/>`;
+            });
         } else {
             // Line/area style
-            const points = values.map((v, i) => {
-                const x = padding + (i / (values.length - 1)) * drawWidth;
-                const y = padding + drawHeight - ((v - min) / range) * drawHeight;
-                return `${x},${y}`;
-            }).join(' ');
+            const points = values.map((v, i) => `${toX(i)},${toY(v)}`).join(' ');
 
             const areaPath = chartStyle === 'area' ? (() => {
                 const firstX = padding;
@@ -420,24 +437,50 @@ class LcdDaisySparkline extends HTMLElement {
                 return `${firstX},${bottomY} ${points} ${lastX},${bottomY}`;
             })() : '';
 
-            svgContent = `
-                ${chartStyle === 'area' ? `<polygon points="${areaPath}" class="fill-primary/20"/>` : ''}
+            svgContent = lcdHtml`
+                ${chartStyle === 'area' ? lcdHtml`<polygon points="${areaPath}" class="fill-primary/20"/>` : ''}
                 <polyline points="${points}" fill="none" class="stroke-primary" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
             `;
         }
 
-        this.innerHTML = `
+        // Dashed reference line across the chart
+        const refLine = (y, strokeClass) => lcdHtml`<line x1="${padding}" x2="${padding + drawWidth}" y1="${y}" y2="${y}" class="${strokeClass}" stroke-width="1" stroke-dasharray="4 3" vector-effect="non-scaling-stroke" opacity="0.7"/>`;
+        const referenceLines = this._thresholds.lines('usage')
+            .filter(line => line.value >= min && line.value <= max)
+            .map(line => refLine(toY(line.value), `stroke-${line.tone}`));
+
+        // Min/max/avg annotations are HTML so their labels aren't stretched by the SVG
+        const markers = this._history.markers();
+        const stats = lcdSeriesStats(values);
+        const pointMarker = (kind, index) => {
+            const x = toX(index) / viewWidth * 100;
+            const shift = x < 15 ? 0 : x > 85 ? -100 : -50;
+            return lcdHtml`
+                <span class="absolute w-0 h-0 ${colorClass}" style="left:${x}%;top:${toY(values[index]) / viewHeight * 100}%;">
+                    <span class="absolute w-1.5 h-1.5 rounded-full bg-current" style="transform:translate(-50%, -50%);"></span>
+                    <span class="absolute text-xs font-mono text-base-content whitespace-nowrap" style="transform:translate(${shift}%, ${kind === 'max' ? -140 : 40}%);">${this.formatValue(values[index])}</span>
+                </span>
+            `;
+        };
+        const avgY = toY(stats.avg);
+
+        return lcdHtml`
             <div class="lcd-daisy-sparkline-wrapper flex flex-col h-full bg-base-200/30 rounded-lg p-3 border border-primary/10">
-                ${label || true ? `
+                ${label || true ? lcdHtml`
                 <div class="flex justify-between items-baseline mb-2">
-                    ${label ? `<span class="text-sm font-semibold text-primary uppercase tracking-wider">${label}</span>` : '<span></span>'}
-                    <span class="text-xl font-bold font-mono text-base-content">${Math.round(currentValue)}</span>
+                    ${label ? lcdHtml`<span class="text-sm font-semibold text-primary uppercase tracking-wider">${label}</span>` : lcdHtml`<span></span>`}
+                    <span class="text-xl font-bold font-mono text-base-content">${this.formatValue(currentValue)}</span>
                 </div>
                 ` : ''}
-                <div class="flex-1 min-h-0">
+                <div class="relative flex-1 min-h-0">
                     <svg viewBox="0 0 ${viewWidth} ${viewHeight}" preserveAspectRatio="none" class="w-full h-full ${colorClass}">
+                        ${referenceLines}
                         ${svgContent}
+                        ${markers.has('avg') ? refLine(avgY, 'stroke-current') : ''}
                     </svg>
+                    ${markers.has('max') ? pointMarker('max', stats.maxIndex) : ''}
+                    ${markers.has('min') ? pointMarker('min', stats.minIndex) : ''}
+                    ${markers.has('avg') ? lcdHtml`<span class="absolute right-0 text-xs font-mono text-base-content/60 -translate-y-full" style="top:${avgY / viewHeight * 100}%;">avg ${this.formatValue(stats.avg)}</span>` : ''}
                 </div>
             </div>
         `;
@@ -449,40 +492,42 @@ class LcdDaisySparkline extends HTMLElement {
  *
  * Attributes:
  *   title - Optional title
- *   items - JSON array of {label, value, color?}
+ *   items - JSON array of {label, value, color?, icon?, format?, decimals?};
+ *           per-item format/decimals override the list's
  *   size - "sm", "md" (default), "lg"
+ *   fit - Keep long text on one line: "shrink" (smaller font), "marquee" (scroll) or "ellipsis"
+ *   format, decimals, unit-system, locale - Value format, default "raw" (see formatOptions() in lcd-core.js)
  */
-class LcdDaisyInfoList extends HTMLElement {
-    connectedCallback() {
-        this.render();
+class LcdDaisyInfoList extends LcdElement {
+    constructor() {
+        super();
+        this._fit = new LcdFit(this);
     }
 
     static get observedAttributes() {
-        return ['title', 'items', 'size', 'props'];
+        return ['title', 'items', 'size', 'fit', 'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        this.render();
+    onDisconnect() {
+        this._fit.disconnect();
     }
 
-    render() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-
-        const title = props.title ?? this.getAttribute('title') ?? '';
-        const size = props.size ?? this.getAttribute('size') ?? 'md';
-
-        let items = props.items ?? [];
-        if (this.hasAttribute('items') && !props.items) {
-            try {
-                items = JSON.parse(this.getAttribute('items'));
-            } catch (e) {}
-        }
+    update() {
+        super.update();
+        this._fit.apply();
+    }
 
+    render() {
+        const title = this.prop('title', '');
+        const size = this.prop('size', 'md');
+        const formatOptions = this.formatOptions({ format: 'raw' });
+        const formatItem = item => lcdFormat(item.value ?? '', {
+            ...formatOptions,
+            format: item.format ?? formatOptions.format,
+            decimals: item.decimals ?? formatOptions.decimals
+        });
+
+        let items = this.jsonProp('items', []);
         if (!Array.isArray(items)) items = [];
 
         // Size mapping
@@ -493,16 +538,16 @@ class LcdDaisyInfoList extends HTMLElement {
         };
         const sizeConfig = sizeMap[size] || sizeMap['md'];
 
-        const itemsHtml = items.map(item => `
+        const itemsHtml = items.map(item => lcdHtml`
             <div class="flex justify-between items-center py-1 border-b border-primary/10 last:border-b-0">
-                <span class="${sizeConfig.label} font-medium text-base-content/70 uppercase tracking-wide">${item.label || ''}</span>
-                <span class="${sizeConfig.value} font-bold font-mono ${item.color || 'text-base-content'}">${item.value || ''}</span>
+                <span class="${sizeConfig.label} font-medium text-base-content/70 uppercase tracking-wide flex items-center gap-2 min-w-0" data-fit>${item.icon ? lcdHtml`<span class="inline-flex w-[1.2em] h-[1.2em]">${lcdIcon(item.icon, 'w-full h-full') || item.icon}</span>` : ''}${lcdFitSpan(item.label || '')}</span>
+                <span class="${sizeConfig.value} font-bold font-mono ${lcdSafeClass(item.color, 'text-base-content')}" data-fit>${lcdFitSpan(formatItem(item))}</span>
             </div>
-        `).join('');
+        `);
 
-        this.innerHTML = `
+        return lcdHtml`
             <div class="lcd-daisy-info-list-wrapper h-full flex flex-col bg-base-200/30 rounded-lg p-3 border border-primary/10">
-                ${title ? `<div class="${sizeConfig.title} font-semibold text-primary uppercase tracking-wider mb-2">${title}</div>` : ''}
+                ${title ? lcdHtml`<div class="${sizeConfig.title} font-semibold text-primary uppercase tracking-wider mb-2">${title}</div>` : ''}
                 <div class="flex-1 flex flex-col justify-center">
                     ${itemsHtml}
                 </div>
@@ -2,6 +2,7 @@
  * LCDPossible ECharts-Based Components
  * High-quality graphical components using Apache ECharts.
  * All components are responsive and fill their containers properly.
+ * Requires lcd-core.js (LcdElement base class) to be loaded first.
  */
 
 // Wait for ECharts to be loaded
@@ -31,103 +32,128 @@ function getThemeColors() {
     };
 }
 
+// Series colors for multi-series charts, in theme order
+function getSeriesPalette(colors = getThemeColors()) {
+    return [colors.accent, colors.accentSecondary, colors.info, colors.success, colors.warning, colors.critical];
+}
+
 // Get color based on percentage value (for usage indicators)
-function getUsageColorEcharts(percentage) {
-    if (percentage >= 90) return getEchartsCssVar('--color-usage-critical') || '#ff2244';
-    if (percentage >= 70) return getEchartsCssVar('--color-usage-high') || '#ff8800';
-    if (percentage >= 50) return getEchartsCssVar('--color-usage-medium') || '#ffff00';
-    return getEchartsCssVar('--color-usage-low') || '#00ff88';
+function getUsageColorEcharts(percentage, thresholds = 'usage') {
+    return lcdThresholdColor(percentage, thresholds, 'usage');
 }
 
 // Get color based on temperature
-function getTempColorEcharts(celsius) {
-    if (celsius >= 85) return getEchartsCssVar('--color-temp-hot') || '#ff2244';
-    if (celsius >= 70) return getEchartsCssVar('--color-temp-warm') || '#ffaa00';
-    return getEchartsCssVar('--color-temp-cool') || '#00ffff';
+function getTempColorEcharts(celsius, thresholds = 'cpu-temp') {
+    return lcdThresholdColor(celsius, thresholds, 'cpu-temp');
 }
 
 /**
- * <lcd-echarts-gauge> - Professional gauge using ECharts
+ * LcdEchartsElement - Base class for ECharts-backed components
  *
- * Attributes:
- *   value - Current value (0-100 by default)
- *   max - Maximum value (default: 100)
- *   min - Minimum value (default: 0)
- *   label - Label text shown in center
- *   unit - Unit suffix (e.g., "°C", "%")
- *   type - "usage" (green->red) or "temp" (blue->red) for auto-coloring
- *   color - Override color (hex)
- *   style - "arc" (default), "speedometer", "ring"
+ * Creates the chart container and ECharts instance on connect, keeps it
+ * sized with a ResizeObserver and disposes it on disconnect. Subclasses
+ * provide _getProps() and _updateChart(), plus the static containerClass
+ * and minHeight used for the container div.
  */
-class LcdEchartsGauge extends HTMLElement {
+class LcdEchartsElement extends LcdElement {
     constructor() {
         super();
         this._chart = null;
         this._resizeObserver = null;
     }
 
-    connectedCallback() {
-        this.render();
-        this._setupResizeObserver();
+    static get containerClass() {
+        return 'echarts-container';
+    }
+
+    static get minHeight() {
+        return 80;
     }
 
-    disconnectedCallback() {
+    onConnect() {
+        const container = document.createElement('div');
+        container.className = this.constructor.containerClass;
+        container.style.cssText = `width: 100%; height: 100%; min-height: ${this.constructor.minHeight}px;`;
+        this.replaceChildren(container);
+
+        this._chart = echarts.init(container, null, { renderer: 'canvas' });
+        this._resizeObserver = new ResizeObserver(() => {
+            if (this._chart) {
+                this._chart.resize();
+            }
+        });
+        this._resizeObserver.observe(this);
+    }
+
+    onDisconnect() {
         if (this._chart) {
             this._chart.dispose();
             this._chart = null;
         }
         if (this._resizeObserver) {
             this._resizeObserver.disconnect();
+            this._resizeObserver = null;
         }
     }
 
-    static get observedAttributes() {
-        return ['value', 'max', 'min', 'label', 'unit', 'type', 'color', 'style', 'props'];
-    }
-
-    attributeChangedCallback() {
+    render() {
         if (this._chart) {
             this._updateChart();
         }
     }
 
-    _setupResizeObserver() {
-        this._resizeObserver = new ResizeObserver(() => {
-            if (this._chart) {
-                this._chart.resize();
-            }
-        });
-        this._resizeObserver.observe(this);
+    _getProps() {
+        return {};
     }
 
-    _getProps() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-        return {
-            value: parseFloat(props.value ?? this.getAttribute('value') ?? 0),
-            max: parseFloat(props.max ?? this.getAttribute('max') ?? 100),
-            min: parseFloat(props.min ?? this.getAttribute('min') ?? 0),
-            label: props.label ?? this.getAttribute('label') ?? '',
-            unit: props.unit ?? this.getAttribute('unit') ?? '',
-            type: props.type ?? this.getAttribute('type') ?? 'usage',
-            color: props.color ?? this.getAttribute('color'),
-            style: props.style ?? this.getAttribute('style') ?? 'arc'
-        };
+    _updateChart() {}
+}
+
+/**
+ * <lcd-echarts-gauge> - Professional gauge using ECharts
+ *
+ * Attributes:
+ *   value - Current value (0-100 by default)
+ *   max - Maximum value (default: 100)
+ *   min - Minimum value (default: 0)
+ *   label - Label text shown in center
+ *   unit - Unit suffix (e.g., "°C", "%")
+ *   type - "usage" (green->red) or "temp" (blue->red) for auto-coloring
+ *   color - Override color (hex)
+ *   style - "arc" (default), "speedometer", "ring"
+ *   format, decimals, unit-system, locale - Center value format, default "number" (see formatOptions() in lcd-core.js)
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage", or "cpu-temp" when type is "temp")
+ */
+class LcdEchartsGauge extends LcdEchartsElement {
+    constructor() {
+        super();
+        this._thresholds = new LcdThresholds(this);
     }
 
-    render() {
-        // Create container div
-        this.innerHTML = '<div class="echarts-gauge-container"></div>';
-        const container = this.querySelector('.echarts-gauge-container');
-        container.style.cssText = 'width: 100%; height: 100%; min-height: 80px;';
+    static get observedAttributes() {
+        return ['value', 'max', 'min', 'label', 'unit', 'type', 'color', 'style', 'thresholds',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
+    }
 
-        // Initialize ECharts
-        this._chart = echarts.init(container, null, { renderer: 'canvas' });
-        this._updateChart();
+    static get containerClass() {
+        return 'echarts-gauge-container';
+    }
+
+    static get minHeight() {
+        return 80;
+    }
+
+    _getProps() {
+        return {
+            value: this.numberProp('value', 0),
+            max: this.numberProp('max', 100),
+            min: this.numberProp('min', 0),
+            label: this.prop('label', ''),
+            unit: this.prop('unit', ''),
+            type: this.prop('type', 'usage'),
+            color: lcdSafeColor(this.prop('color')),
+            style: this.prop('style', 'arc')
+        };
     }
 
     _updateChart() {
@@ -139,12 +165,16 @@ class LcdEchartsGauge extends HTMLElement {
         let gaugeColor;
         if (props.color) {
             gaugeColor = props.color;
-        } else if (props.type === 'temp') {
-            gaugeColor = getTempColorEcharts(props.value);
         } else {
-            gaugeColor = getUsageColorEcharts(percentage);
+            gaugeColor = this._thresholds.color(props.value, percentage, props.type === 'temp' ? 'cpu-temp' : 'usage');
         }
 
+        // Center readout; formats with their own unit (bytes, rates, ...) replace the unit prop
+        const formatDetail = (value) => {
+            const parts = this.formatParts(value);
+            return parts.unit ? this.formatValue(value) : `${parts.value}${props.unit}`;
+        };
+
         let option;
 
         if (props.style === 'speedometer') {
@@ -228,7 +258,7 @@ class LcdEchartsGauge extends HTMLElement {
                         fontWeight: 'bold',
                         offsetCenter: [0, '40%'],
                         color: gaugeColor,
-                        formatter: (value) => `${Math.round(value)}${props.unit}`
+                        formatter: formatDetail
                     },
                     data: [{
                         value: props.value,
@@ -280,7 +310,7 @@ class LcdEchartsGauge extends HTMLElement {
                         fontWeight: 'bold',
                         offsetCenter: [0, 0],
                         color: gaugeColor,
-                        formatter: (value) => `${Math.round(value)}${props.unit}`
+                        formatter: formatDetail
                     },
                     data: [{
                         value: props.value,
@@ -340,7 +370,7 @@ class LcdEchartsGauge extends HTMLElement {
                         fontWeight: 'bold',
                         offsetCenter: [0, '-10%'],
                         color: gaugeColor,
-                        formatter: (value) => `${Math.round(value)}${props.unit}`,
+                        formatter: formatDetail,
                         fontFamily: 'ui-monospace, monospace'
                     },
                     data: [{
@@ -364,79 +394,43 @@ class LcdEchartsGauge extends HTMLElement {
  *   label - Center label
  *   color - Fill color (auto if not provided)
  *   type - "usage" for auto-coloring based on percentage
+ *   format, decimals, unit-system, locale - Center text format, default "percent" (see formatOptions() in lcd-core.js)
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage")
  */
-class LcdEchartsDonut extends HTMLElement {
+class LcdEchartsDonut extends LcdEchartsElement {
     constructor() {
         super();
-        this._chart = null;
-        this._resizeObserver = null;
-    }
-
-    connectedCallback() {
-        this.render();
-        this._setupResizeObserver();
-    }
-
-    disconnectedCallback() {
-        if (this._chart) {
-            this._chart.dispose();
-            this._chart = null;
-        }
-        if (this._resizeObserver) {
-            this._resizeObserver.disconnect();
-        }
+        this._thresholds = new LcdThresholds(this);
     }
 
     static get observedAttributes() {
-        return ['value', 'max', 'label', 'color', 'type', 'props'];
+        return ['value', 'max', 'label', 'color', 'type', 'thresholds', 'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        if (this._chart) {
-            this._updateChart();
-        }
+    static get containerClass() {
+        return 'echarts-donut-container';
     }
 
-    _setupResizeObserver() {
-        this._resizeObserver = new ResizeObserver(() => {
-            if (this._chart) {
-                this._chart.resize();
-            }
-        });
-        this._resizeObserver.observe(this);
+    static get minHeight() {
+        return 80;
     }
 
     _getProps() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
         return {
-            value: parseFloat(props.value ?? this.getAttribute('value') ?? 0),
-            max: parseFloat(props.max ?? this.getAttribute('max') ?? 100),
-            label: props.label ?? this.getAttribute('label') ?? '',
-            color: props.color ?? this.getAttribute('color'),
-            type: props.type ?? this.getAttribute('type') ?? 'usage'
+            value: this.numberProp('value', 0),
+            max: this.numberProp('max', 100),
+            label: this.prop('label', ''),
+            color: lcdSafeColor(this.prop('color')),
+            type: this.prop('type', 'usage')
         };
     }
 
-    render() {
-        this.innerHTML = '<div class="echarts-donut-container"></div>';
-        const container = this.querySelector('.echarts-donut-container');
-        container.style.cssText = 'width: 100%; height: 100%; min-height: 80px;';
-
-        this._chart = echarts.init(container, null, { renderer: 'canvas' });
-        this._updateChart();
-    }
-
     _updateChart() {
         const props = this._getProps();
         const colors = getThemeColors();
         const percentage = Math.min(100, Math.max(0, (props.value / props.max) * 100));
 
-        const fillColor = props.color || getUsageColorEcharts(percentage);
+        const fillColor = props.color || this._thresholds.color(props.value, percentage, 'usage');
 
         const option = {
             series: [{
@@ -449,7 +443,7 @@ class LcdEchartsDonut extends HTMLElement {
                 label: {
                     show: true,
                     position: 'center',
-                    formatter: () => `${Math.round(percentage)}%`,
+                    formatter: () => this.formatPercentage(percentage, props.max),
                     fontSize: 28,
                     fontWeight: 'bold',
                     color: fillColor,
@@ -503,91 +497,79 @@ class LcdEchartsDonut extends HTMLElement {
  * <lcd-echarts-sparkline> - Line/area/bar chart using ECharts
  *
  * Attributes:
- *   values - JSON array of numbers
+ *   values - JSON array of numbers (seeds the history; see push())
+ *   capacity - Maximum samples kept (default: 60, or the length of values if longer)
  *   color - Line color
  *   label - Chart label
  *   style - "line" (default), "area", "bar"
  *   show-value - Show current value (default: true)
+ *   y-min, y-max - Fixed y-axis range (default: scaled around the data)
+ *   thresholds - Threshold profile name, breakpoint array or object; each breakpoint
+ *                is drawn as a dashed reference line (markLine) in its level color
+ *   markers - Annotate "min", "max" (markPoint) and/or "avg" (markLine);
+ *             comma separated, or "all"
+ *   format, decimals, unit-system, locale - Current value format, default "number" (see formatOptions() in lcd-core.js)
+ *
+ * Methods:
+ *   push(value), pushMany(values) - Append samples without re-sending `values`;
+ *                                   the chart scrolls instead of being rebuilt
  */
-class LcdEchartsSparkline extends HTMLElement {
+class LcdEchartsSparkline extends LcdEchartsElement {
     constructor() {
         super();
-        this._chart = null;
-        this._resizeObserver = null;
+        this._thresholds = new LcdThresholds(this);
+        this._history = new LcdSampleHistory(this);
+        this._streaming = false;
     }
 
-    connectedCallback() {
-        this.render();
-        this._setupResizeObserver();
+    static get observedAttributes() {
+        return ['values', 'capacity', 'color', 'label', 'style', 'show-value', 'y-min', 'y-max', 'thresholds', 'markers',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    disconnectedCallback() {
-        if (this._chart) {
-            this._chart.dispose();
-            this._chart = null;
-        }
-        if (this._resizeObserver) {
-            this._resizeObserver.disconnect();
-        }
+    static get containerClass() {
+        return 'echarts-sparkline-container';
     }
 
-    static get observedAttributes() {
-        return ['values', 'color', 'label', 'style', 'show-value', 'props'];
+    static get minHeight() {
+        return 60;
     }
 
-    attributeChangedCallback() {
-        if (this._chart) {
-            this._updateChart();
-        }
+    /** Append a sample; the oldest is dropped once `capacity` is reached. */
+    push(value) {
+        this.pushMany([value]);
     }
 
-    _setupResizeObserver() {
-        this._resizeObserver = new ResizeObserver(() => {
-            if (this._chart) {
-                this._chart.resize();
-            }
-        });
-        this._resizeObserver.observe(this);
+    /** Append several samples, oldest first. */
+    pushMany(values) {
+        this._history.push(values);
+        if (this._chart && this._streaming && !this._updatePending) {
+            this._appendChart();
+        } else {
+            this.requestUpdate();
+        }
     }
 
     _getProps() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
-
-        let values = props.values ?? [];
-        if (this.hasAttribute('values') && !props.values) {
-            try {
-                values = JSON.parse(this.getAttribute('values'));
-            } catch (e) {}
-        }
-
+        const samples = this._history.buffer();
         return {
-            values: Array.isArray(values) ? values : [],
-            color: props.color ?? this.getAttribute('color'),
-            label: props.label ?? this.getAttribute('label') ?? '',
-            style: props.style ?? this.getAttribute('style') ?? 'line',
-            showValue: (props.showValue ?? props.show_value ?? this.getAttribute('show-value')) !== 'false'
+            values: samples.toArray(),
+            sequence: samples.sequence(),
+            color: lcdSafeColor(this.prop('color')),
+            label: this.prop('label', ''),
+            style: this.prop('style', 'line'),
+            showValue: this.boolProp('showValue', true),
+            yMin: this.numberProp('yMin', null),
+            yMax: this.numberProp('yMax', null)
         };
     }
 
-    render() {
-        this.innerHTML = '<div class="echarts-sparkline-container"></div>';
-        const container = this.querySelector('.echarts-sparkline-container');
-        container.style.cssText = 'width: 100%; height: 100%; min-height: 60px;';
-
-        this._chart = echarts.init(container, null, { renderer: 'canvas' });
-        this._updateChart();
-    }
-
     _updateChart() {
         const props = this._getProps();
         const colors = getThemeColors();
 
         if (props.values.length === 0) {
+            this._streaming = false;
             this._chart.clear();
             this._chart.setOption({
                 graphic: [{
@@ -605,8 +587,9 @@ class LcdEchartsSparkline extends HTMLElement {
         }
 
         const lineColor = props.color || colors.accent;
-        const currentValue = props.values[props.values.length - 1];
-        const xData = props.values.map((_, i) => i);
+        const currentValue = this.formatValue(props.values[props.values.length - 1]);
+        // Sample sequence numbers rather than 0..n, so appended data scrolls left
+        const xData = props.sequence;
 
         let series;
         if (props.style === 'bar') {
@@ -644,6 +627,56 @@ class LcdEchartsSparkline extends HTMLElement {
             };
         }
 
+        // Threshold breakpoints and the average as dashed reference lines
+        const markers = this._history.markers();
+        const lineData = this._thresholds.lines('usage').map(line => ({
+            yAxis: line.value,
+            lineStyle: { color: line.color }
+        }));
+        if (markers.has('avg')) {
+            lineData.push({
+                type: 'average',
+                lineStyle: { color: lineColor },
+                label: {
+                    show: true,
+                    position: 'insideEndTop',
+                    formatter: (params) => `avg ${this.formatValue(params.value)}`,
+                    color: colors.textSecondary,
+                    fontSize: 11
+                }
+            });
+        }
+        if (lineData.length > 0) {
+            series.markLine = {
+                silent: true,
+                symbol: 'none',
+                lineStyle: { type: 'dashed', width: 1, opacity: 0.7 },
+                label: { show: false },
+                data: lineData
+            };
+        }
+
+        // Min/max point markers with value labels
+        const pointData = ['max', 'min'].filter(kind => markers.has(kind)).map(kind => ({
+            type: kind,
+            label: { position: kind === 'max' ? 'top' : 'bottom' }
+        }));
+        if (pointData.length > 0) {
+            series.markPoint = {
+                silent: true,
+                symbol: 'circle',
+                symbolSize: 6,
+                itemStyle: { color: lineColor },
+                label: {
+                    show: true,
+                    formatter: (params) => this.formatValue(params.value),
+                    color: colors.textPrimary,
+                    fontSize: 11
+                },
+                data: pointData
+            };
+        }
+
         const option = {
             grid: {
                 left: 5,
@@ -661,8 +694,8 @@ class LcdEchartsSparkline extends HTMLElement {
             yAxis: {
                 type: 'value',
                 show: false,
-                min: (value) => Math.floor(value.min * 0.9),
-                max: (value) => Math.ceil(value.max * 1.1)
+                min: props.yMin ?? ((value) => Math.floor(value.min * 0.9)),
+                max: props.yMax ?? ((value) => Math.ceil(value.max * 1.1))
             },
             series: [series],
             graphic: (props.label || props.showValue) ? [{
@@ -680,10 +713,11 @@ class LcdEchartsSparkline extends HTMLElement {
                         }
                     } : null,
                     props.showValue ? {
+                        id: 'value',
                         type: 'text',
                         left: props.label ? 'auto' : 0,
                         style: {
-                            text: Math.round(currentValue).toString(),
+                            text: currentValue,
                             fill: colors.textPrimary,
                             fontSize: 18,
                             fontWeight: 'bold',
@@ -710,11 +744,12 @@ class LcdEchartsSparkline extends HTMLElement {
                     }
                 }]
             }, {
+                id: 'value',
                 type: 'text',
                 right: 10,
                 top: 5,
                 style: {
-                    text: Math.round(currentValue).toString(),
+                    text: currentValue,
                     fill: colors.textPrimary,
                     fontSize: 18,
                     fontWeight: 'bold'
@@ -723,6 +758,20 @@ class LcdEchartsSparkline extends HTMLElement {
         }
 
         this._chart.setOption(option, true);
+        this._streaming = true;
+    }
+
+    // Merge the new samples into the existing option so ECharts animates the shift
+    _appendChart() {
+        const props = this._getProps();
+        const option = {
+            xAxis: { data: props.sequence },
+            series: [{ data: props.values }]
+        };
+        if (props.showValue) {
+            option.graphic = [{ id: 'value', style: { text: this.formatValue(props.values[props.values.length - 1]) } }];
+        }
+        this._chart.setOption(option);
     }
 }
 
@@ -736,79 +785,44 @@ class LcdEchartsSparkline extends HTMLElement {
  *   orientation - "horizontal" (default) or "vertical"
  *   show-percent - Show percentage (default: true)
  *   color - Override color
+ *   format, decimals, unit-system, locale - Text format, default "percent" (see formatOptions() in lcd-core.js)
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage")
  */
-class LcdEchartsProgress extends HTMLElement {
+class LcdEchartsProgress extends LcdEchartsElement {
     constructor() {
         super();
-        this._chart = null;
-        this._resizeObserver = null;
-    }
-
-    connectedCallback() {
-        this.render();
-        this._setupResizeObserver();
-    }
-
-    disconnectedCallback() {
-        if (this._chart) {
-            this._chart.dispose();
-            this._chart = null;
-        }
-        if (this._resizeObserver) {
-            this._resizeObserver.disconnect();
-        }
+        this._thresholds = new LcdThresholds(this);
     }
 
     static get observedAttributes() {
-        return ['value', 'max', 'label', 'orientation', 'show-percent', 'color', 'props'];
+        return ['value', 'max', 'label', 'orientation', 'show-percent', 'color', 'thresholds',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
     }
 
-    attributeChangedCallback() {
-        if (this._chart) {
-            this._updateChart();
-        }
+    static get containerClass() {
+        return 'echarts-progress-container';
     }
 
-    _setupResizeObserver() {
-        this._resizeObserver = new ResizeObserver(() => {
-            if (this._chart) {
-                this._chart.resize();
-            }
-        });
-        this._resizeObserver.observe(this);
+    static get minHeight() {
+        return 40;
     }
 
     _getProps() {
-        let props = {};
-        if (this.hasAttribute('props')) {
-            try {
-                props = JSON.parse(this.getAttribute('props'));
-            } catch (e) {}
-        }
         return {
-            value: parseFloat(props.value ?? this.getAttribute('value') ?? 0),
-            max: parseFloat(props.max ?? this.getAttribute('max') ?? 100),
-            label: props.label ?? this.getAttribute('label') ?? '',
-            orientation: props.orientation ?? this.getAttribute('orientation') ?? 'horizontal',
-            showPercent: (props.showPercent ?? props.show_percent ?? this.getAttribute('show-percent')) !== 'false',
-            color: props.color ?? this.getAttribute('color')
+            value: this.numberProp('value', 0),
+            max: this.numberProp('max', 100),
+            label: this.prop('label', ''),
+            orientation: this.prop('orientation', 'horizontal'),
+            showPercent: this.boolProp('showPercent', true),
+            color: lcdSafeColor(this.prop('color'))
         };
     }
 
-    render() {
-        this.innerHTML = '<div class="echarts-progress-container"></div>';
-        const container = this.querySelector('.echarts-progress-container');
-        container.style.cssText = 'width: 100%; height: 100%; min-height: 40px;';
-
-        this._chart = echarts.init(container, null, { renderer: 'canvas' });
-        this._updateChart();
-    }
-
     _updateChart() {
         const props = this._getProps();
         const colors = getThemeColors();
         const percentage = Math.min(100, Math.max(0, (props.value / props.max) * 100));
-        const fillColor = props.color || getUsageColorEcharts(percentage);
+        const fillColor = props.color || this._thresholds.color(props.value, percentage, 'usage');
         const isVertical = props.orientation === 'vertical';
 
         const option = {
@@ -875,7 +889,7 @@ class LcdEchartsProgress extends HTMLElement {
                     left: isVertical ? 'center' : undefined,
                     top: isVertical ? 5 : 'middle',
                     style: {
-                        text: `${Math.round(percentage)}%`,
+                        text: this.formatPercentage(percentage, props.max),
                         fill: colors.textPrimary,
                         fontSize: 20,
                         fontWeight: 'bold'
@@ -888,10 +902,551 @@ class LcdEchartsProgress extends HTMLElement {
     }
 }
 
+/**
+ * <lcd-echarts-multiline> - Several named series on one line chart
+ *
+ * Attributes:
+ *   series - JSON array of {name, values, color?, axis?} objects. Colors default
+ *            to the theme palette; axis "right" puts a series on the second y-axis
+ *   label - Chart label
+ *   legend - "top" (default), "bottom" or "none"
+ *   axes - "shared" (default) or "dual"; with dual axes a series without an
+ *          explicit axis goes on the right if it is the second one
+ *   stacked - Stack the series as filled areas on one axis (default: false)
+ *   style - "line" (default) or "area"
+ *   y-min, y-max - Fixed range for the left (or shared) y-axis
+ *   format, decimals, unit-system, locale - Axis label format, default "number" (see formatOptions() in lcd-core.js)
+ *
+ * Series of different lengths are aligned on their newest sample.
+ */
+class LcdEchartsMultiline extends LcdEchartsElement {
+    static get observedAttributes() {
+        return ['series', 'label', 'legend', 'axes', 'stacked', 'style', 'y-min', 'y-max',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
+    }
+
+    static get containerClass() {
+        return 'echarts-multiline-container';
+    }
+
+    static get minHeight() {
+        return 80;
+    }
+
+    _getProps() {
+        const series = this.jsonProp('series', []);
+        return {
+            series: Array.isArray(series) ? series.filter(item => item && Array.isArray(item.values)) : [],
+            label: this.prop('label', ''),
+            legend: this.prop('legend', 'top'),
+            axes: this.prop('axes', 'shared'),
+            stacked: this.boolProp('stacked', false),
+            style: this.prop('style', 'line'),
+            yMin: this.numberProp('yMin', null),
+            yMax: this.numberProp('yMax', null)
+        };
+    }
+
+    _updateChart() {
+        const props = this._getProps();
+        const colors = getThemeColors();
+
+        if (props.series.length === 0) {
+            this._chart.clear();
+            this._chart.setOption({
+                graphic: [{
+                    type: 'text',
+                    left: 'center',
+                    top: 'middle',
+                    style: {
+                        text: 'No data',
+                        fill: colors.textMuted,
+                        fontSize: 14
+                    }
+                }]
+            });
+            return;
+        }
+
+        const palette = getSeriesPalette(colors);
+        // Stacking only makes sense on a single scale
+        const dual = props.axes === 'dual' && !props.stacked;
+        const length = Math.max(...props.series.map(item => item.values.length));
+        const filled = props.stacked || props.style === 'area';
+
+        const series = props.series.map((item, i) => {
+            const color = lcdSafeColor(item.color, palette[i % palette.length]);
+            const onRight = dual && (item.axis === 'right' || (item.axis === undefined && i === 1));
+            return {
+                name: String(item.name ?? `Series ${i + 1}`),
+                type: 'line',
+                // Pad the front so every series ends on the newest sample
+                data: new Array(length - item.values.length).fill(null).concat(item.values),
+                yAxisIndex: onRight ? 1 : 0,
+                stack: props.stacked ? 'total' : undefined,
+                smooth: true,
+                symbol: 'none',
+                lineStyle: { width: 2, color },
+                itemStyle: { color },
+                areaStyle: filled ? { color, opacity: props.stacked ? 0.35 : 0.15 } : undefined
+            };
+        });
+
+        // With dual axes each axis takes the color of its first series
+        const axisColor = (index) => {
+            const first = series.find(item => item.yAxisIndex === index);
+            return dual && first ? first.lineStyle.color : colors.textMuted;
+        };
+        const yAxis = (index) => ({
+            type: 'value',
+            position: index === 0 ? 'left' : 'right',
+            min: index === 0 ? props.yMin ?? undefined : undefined,
+            max: index === 0 ? props.yMax ?? undefined : undefined,
+            splitNumber: 3,
+            axisLabel: {
+                color: axisColor(index),
+                fontSize: 10,
+                formatter: (value) => this.formatValue(value)
+            },
+            splitLine: {
+                show: index === 0,
+                lineStyle: { color: colors.barBackground }
+            }
+        });
+
+        const legendTop = props.legend === 'top';
+        const option = {
+            grid: {
+                left: 10,
+                right: 10,
+                top: props.label || legendTop ? 30 : 10,
+                bottom: props.legend === 'bottom' ? 25 : 5,
+                containLabel: true
+            },
+            legend: {
+                show: props.legend !== 'none',
+                top: legendTop ? 5 : undefined,
+                bottom: legendTop ? undefined : 0,
+                right: 10,
+                icon: 'roundRect',
+                itemWidth: 12,
+                itemHeight: 4,
+                itemGap: 10,
+                textStyle: {
+                    color: colors.textSecondary,
+                    fontSize: 11
+                }
+            },
+            xAxis: {
+                type: 'category',
+                data: Array.from({ length }, (_, i) => i),
+                show: false,
+                boundaryGap: false
+            },
+            yAxis: dual ? [yAxis(0), yAxis(1)] : [yAxis(0)],
+            series,
+            graphic: props.label ? [{
+                type: 'text',
+                left: 10,
+                top: 5,
+                style: {
+                    text: props.label.toUpperCase(),
+                    fill: colors.accent,
+                    fontSize: 12,
+                    fontWeight: 'bold'
+                }
+            }] : []
+        };
+
+        this._chart.setOption(option, true);
+    }
+}
+
+/**
+ * <lcd-echarts-radar> - Several metrics on one radar, each against its own max
+ *
+ * Attributes:
+ *   axes - JSON array of {name, value, max?, previous?, thresholds?} objects;
+ *          max defaults to 100, thresholds overrides the element's for that axis
+ *   previous - JSON array of earlier values, one per axis (alternative to axis.previous);
+ *              drawn as a dashed outline to show change
+ *   label - Label text
+ *   color - Fill and line color (default: accent color)
+ *   shape - "polygon" (default) or "circle"
+ *   show-values - Show each axis's value under its name (default: true)
+ *   thresholds - Threshold profile name, breakpoint array or object (default: "usage");
+ *                axes at warning or critical are drawn in that color
+ *   format, decimals, unit-system, locale - Value format, default "number" (see formatOptions() in lcd-core.js)
+ */
+class LcdEchartsRadar extends LcdEchartsElement {
+    constructor() {
+        super();
+        this._thresholds = new LcdThresholds(this);
+    }
+
+    static get observedAttributes() {
+        return ['axes', 'previous', 'label', 'color', 'shape', 'show-values', 'thresholds',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
+    }
+
+    static get containerClass() {
+        return 'echarts-radar-container';
+    }
+
+    static get minHeight() {
+        return 120;
+    }
+
+    _getProps() {
+        const axes = this.jsonProp('axes', []);
+        const previous = this.jsonProp('previous', null);
+        return {
+            axes: Array.isArray(axes) ? axes.filter(axis => axis && typeof axis === 'object') : [],
+            previous: Array.isArray(previous) ? previous : null,
+            label: this.prop('label', ''),
+            color: lcdSafeColor(this.prop('color')),
+            shape: this.prop('shape', 'polygon') === 'circle' ? 'circle' : 'polygon',
+            showValues: this.boolProp('showValues', true)
+        };
+    }
+
+    _updateChart() {
+        const props = this._getProps();
+        const colors = getThemeColors();
+
+        if (props.axes.length < 3) {
+            this._chart.clear();
+            this._chart.setOption({
+                graphic: [{
+                    type: 'text',
+                    left: 'center',
+                    top: 'middle',
+                    style: {
+                        text: 'No data',
+                        fill: colors.textMuted,
+                        fontSize: 14
+                    }
+                }]
+            });
+            return;
+        }
+
+        const fillColor = props.color || colors.accent;
+        // Every axis is normalised to 0-100 of its own max
+        const normalise = (value, max) => Math.min(100, Math.max(0, (Number(value) || 0) / max * 100));
+        const axes = props.axes.map((axis, i) => {
+            const max = Number(axis.max) > 0 ? Number(axis.max) : 100;
+            const value = Number(axis.value) || 0;
+            const percentage = normalise(value, max);
+            const profile = axis.thresholds !== undefined
+                ? lcdResolveThresholds(axis.thresholds, 'usage')
+                : this._thresholds.profile('usage');
+            const level = lcdThresholdLevel(profile.basis === 'value' ? value : percentage, profile);
+            const previous = axis.previous ?? props.previous?.[i];
+            return {
+                name: String(axis.name ?? ''),
+                text: this.formatValue(value),
+                percentage,
+                previous: previous === undefined || previous === null ? null : normalise(previous, max),
+                alert: level === 'warning' || level === 'critical' ? lcdLevelColor(level, profile.kind) : null
+            };
+        });
+        const hasPrevious = axes.some(axis => axis.previous !== null);
+
+        const data = [{
+            name: 'current',
+            value: axes.map(axis => axis.percentage),
+            symbol: 'circle',
+            symbolSize: 5,
+            lineStyle: { width: 2, color: fillColor },
+            itemStyle: { color: fillColor },
+            areaStyle: { color: fillColor, opacity: 0.3 }
+        }];
+        if (hasPrevious) {
+            // Drawn first so the current polygon sits on top; axes without
+            // an earlier value show no change
+            data.unshift({
+                name: 'previous',
+                value: axes.map(axis => axis.previous ?? axis.percentage),
+                symbol: 'none',
+                lineStyle: { width: 1, type: 'dashed', color: colors.textSecondary },
+                areaStyle: { opacity: 0 }
+            });
+        }
+
+        const option = {
+            radar: {
+                shape: props.shape,
+                center: ['50%', props.label ? '56%' : '52%'],
+                radius: props.label ? '62%' : '66%',
+                splitNumber: 4,
+                // Axes over their threshold take the level color on their name
+                indicator: axes.map(axis => ({
+                    name: props.showValues ? `${axis.name}\n${axis.text}` : axis.name,
+                    min: 0,
+                    max: 100,
+                    color: axis.alert || colors.textSecondary
+                })),
+                axisName: {
+                    fontSize: 11,
+                    fontWeight: 'bold',
+                    lineHeight: 14
+                },
+                axisLine: { lineStyle: { color: colors.barBackground } },
+                splitLine: { lineStyle: { color: colors.barBackground } },
+                splitArea: { show: false }
+            },
+            series: [{
+                type: 'radar',
+                data
+            }],
+            graphic: props.label ? [{
+                type: 'text',
+                left: 10,
+                top: 5,
+                style: {
+                    text: props.label.toUpperCase(),
+                    fill: colors.accent,
+                    fontSize: 12,
+                    fontWeight: 'bold'
+                }
+            }] : []
+        };
+
+        this._chart.setOption(option, true);
+    }
+}
+
+// Tick spacings (seconds) for the relative time axis, smallest first
+const LCD_HISTORY_TICKS = [1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 900, 1800, 3600, 7200, 10800, 21600, 43200, 86400];
+
+/**
+ * <lcd-history-chart> - Time-series chart with a relative time axis (mirrors HistoricalSeriesControl)
+ *
+ * Attributes:
+ *   samples - JSON array of [timestamp, value] pairs or {time, value} objects;
+ *             timestamps are Unix milliseconds or ISO 8601 strings
+ *   values - JSON array of values (oldest to newest), used when samples is not set
+ *   interval - Seconds between values (default: 1); the newest value is at "now"
+ *   window - Visible time span, e.g. "1m", "15m", "1h" or seconds (default: all samples)
+ *   gap - Break the line where samples are further apart than this duration
+ *         (default: 3x the median sample spacing)
+ *   now - Reference timestamp for the "-5m" tick labels (default: current time)
+ *   label - Label text
+ *   color - Line color (default: accent color)
+ *   style - "line" (default), "area" or "bar" (SparklineStyle)
+ *   y-min, y-max - Fixed value range (default: scaled to the data)
+ *   format, decimals, unit-system, locale - Value format, default "number" (see formatOptions() in lcd-core.js)
+ */
+class LcdHistoryChart extends LcdEchartsElement {
+    static get observedAttributes() {
+        return ['samples', 'values', 'interval', 'window', 'gap', 'now', 'label', 'color', 'style', 'y-min', 'y-max',
+            'format', 'decimals', 'unit-system', 'locale', 'props'];
+    }
+
+    static get containerClass() {
+        return 'echarts-history-container';
+    }
+
+    static get minHeight() {
+        return 80;
+    }
+
+    _getProps() {
+        const nowProp = this.prop('now', null);
+        const now = nowProp == null || nowProp === '' ? Date.now() : lcdParseTime(nowProp);
+        return {
+            points: this._points(Number.isFinite(now) ? now : Date.now()),
+            window: lcdParseDuration(this.prop('window', null)),
+            gap: lcdParseDuration(this.prop('gap', null)),
+            label: this.prop('label', ''),
+            color: lcdSafeColor(this.prop('color')),
+            style: this.prop('style', 'line'),
+            yMin: this.numberProp('yMin', null),
+            yMax: this.numberProp('yMax', null)
+        };
+    }
+
+    // Samples as [secondsBeforeNow, value] pairs, oldest first
+    _points(now) {
+        const samples = this.jsonProp('samples', null);
+        if (Array.isArray(samples)) {
+            return samples
+                .map(sample => Array.isArray(sample)
+                    ? [sample[0], sample[1]]
+                    : [sample?.time ?? sample?.t, sample?.value ?? sample?.v])
+                .map(([time, value]) => [(lcdParseTime(time) - now) / 1000, value == null ? NaN : Number(value)])
+                .filter(([offset, value]) => Number.isFinite(offset) && Number.isFinite(value))
+                .sort((a, b) => a[0] - b[0]);
+        }
+
+        const values = this.jsonProp('values', []);
+        if (!Array.isArray(values)) return [];
+        const interval = this.numberProp('interval', 1) || 1;
+        return values
+            .map((value, i) => [(i - values.length + 1) * interval, value == null ? NaN : Number(value)])
+            .filter(([, value]) => Number.isFinite(value));
+    }
+
+    // Insert null points where the spacing exceeds the gap so the line breaks there
+    _withGaps(points, gap) {
+        if (points.length < 2) return points;
+        if (gap == null) {
+            const spacing = points.slice(1).map((point, i) => point[0] - points[i][0]).sort((a, b) => a - b);
+            gap = spacing[Math.floor(spacing.length / 2)] * 3;
+        }
+        const result = [points[0]];
+        for (let i = 1; i < points.length; i++) {
+            const previous = points[i - 1][0];
+            if (points[i][0] - previous > gap) {
+                result.push([(previous + points[i][0]) / 2, null]);
+            }
+            result.push(points[i]);
+        }
+        return result;
+    }
+
+    _updateChart() {
+        const props = this._getProps();
+        const colors = getThemeColors();
+
+        // Keep one sample before the window so the line enters from the left edge
+        const span = props.window > 0 ? props.window : Math.max(1, -(props.points[0]?.[0] ?? 0));
+        const firstVisible = props.points.findIndex(([offset]) => offset >= -span);
+        if (firstVisible === -1) {
+            this._chart.clear();
+            this._chart.setOption({
+                graphic: [{
+                    type: 'text',
+                    left: 'center',
+                    top: 'middle',
+                    style: {
+                        text: 'No data',
+                        fill: colors.textMuted,
+                        fontSize: 14
+                    }
+                }]
+            });
+            return;
+        }
+
+        const points = props.points.slice(Math.max(0, firstVisible - 1));
+        const lineColor = props.color || colors.accent;
+        const currentValue = this.formatValue(points[points.length - 1][1]);
+        // Up to five ticks at round intervals, stepping back from "now" so labels land
+        // on whole multiples (-30s, -1m...) whatever the window's span
+        const tick = LCD_HISTORY_TICKS.find(step => span / step <= 5) || 86400;
+        const ticks = [];
+        for (let offset = 0; offset >= -span; offset -= tick) ticks.unshift(offset);
+        const data = this._withGaps(points, props.gap);
+
+        const series = props.style === 'bar' ? {
+            type: 'bar',
+            data: points,
+            barMaxWidth: 8,
+            itemStyle: {
+                color: lineColor,
+                borderRadius: [2, 2, 0, 0]
+            }
+        } : {
+            type: 'line',
+            data,
+            connectNulls: false,
+            clip: true,
+            symbol: 'none',
+            lineStyle: {
+                width: 2,
+                color: lineColor,
+                shadowColor: lineColor,
+                shadowBlur: 8
+            },
+            areaStyle: props.style === 'area' ? {
+                color: {
+                    type: 'linear',
+                    x: 0, y: 0, x2: 0, y2: 1,
+                    colorStops: [
+                        { offset: 0, color: lineColor + '40' },
+                        { offset: 1, color: lineColor + '05' }
+                    ]
+                }
+            } : undefined
+        };
+
+        const option = {
+            grid: {
+                left: 10,
+                right: 15,
+                top: 35,
+                bottom: 5,
+                containLabel: true
+            },
+            xAxis: {
+                type: 'value',
+                min: -span,
+                max: 0,
+                axisLine: { lineStyle: { color: colors.barBackground } },
+                // Split lines follow the tick values, so both take the anchored ticks
+                axisTick: { show: false, customValues: ticks },
+                axisLabel: {
+                    customValues: ticks,
+                    color: colors.textMuted,
+                    fontSize: 10,
+                    formatter: (value) => lcdFormatOffset(value)
+                },
+                splitLine: {
+                    show: true,
+                    lineStyle: { color: colors.barBackground, type: 'dashed' }
+                }
+            },
+            yAxis: {
+                type: 'value',
+                min: props.yMin ?? undefined,
+                max: props.yMax ?? undefined,
+                splitNumber: 3,
+                axisLabel: {
+                    color: colors.textMuted,
+                    fontSize: 10,
+                    formatter: (value) => this.formatValue(value)
+                },
+                splitLine: {
+                    lineStyle: { color: colors.barBackground }
+                }
+            },
+            series: [series],
+            graphic: [props.label ? {
+                type: 'text',
+                left: 10,
+                top: 5,
+                style: {
+                    text: props.label.toUpperCase(),
+                    fill: colors.accent,
+                    fontSize: 12,
+                    fontWeight: 'bold'
+                }
+            } : null, {
+                type: 'text',
+                right: 10,
+                top: 5,
+                style: {
+                    text: currentValue,
+                    fill: colors.textPrimary,
+                    fontSize: 18,
+                    fontWeight: 'bold'
+                }
+            }].filter(Boolean)
+        };
+
+        this._chart.setOption(option, true);
+    }
+}
+
 // Register all ECharts components
 customElements.define('lcd-echarts-gauge', LcdEchartsGauge);
 customElements.define('lcd-echarts-donut', LcdEchartsDonut);
 customElements.define('lcd-echarts-sparkline', LcdEchartsSparkline);
 customElements.define('lcd-echarts-progress', LcdEchartsProgress);
+customElements.define('lcd-echarts-multiline', LcdEchartsMultiline);
+customElements.define('lcd-echarts-radar', LcdEchartsRadar);
+customElements.define('lcd-history-chart', LcdHistoryChart);
 
 console.log('LCDPossible ECharts components loaded');
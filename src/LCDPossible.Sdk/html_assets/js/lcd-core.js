@@ -0,0 +1,1466 @@
+/**
+ * LCDPossible Component Core
+ * Shared base class and helpers used by every lcd-* web component
+ * (components.js, daisyui-components.js and echarts-components.js).
+ * Must be loaded before any of the component scripts.
+ */
+
+// Convert camelCase prop names to kebab-case attribute names
+function lcdKebabCase(name) {
+    return name.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+// Convert camelCase prop names to snake_case (as sent by some C# serializers)
+function lcdSnakeCase(name) {
+    return name.replace(/[A-Z]/g, c => '_' + c.toLowerCase());
+}
+
+// Two nodes can be patched in place when they have the same type and tag
+function lcdIsSameNode(a, b) {
+    return a.nodeType === b.nodeType && a.nodeName === b.nodeName;
+}
+
+// Copy changed attributes from the new element onto the live one
+function lcdPatchAttributes(target, source) {
+    for (const attr of Array.from(target.attributes)) {
+        if (!source.hasAttribute(attr.name)) {
+            target.removeAttribute(attr.name);
+        }
+    }
+    for (const attr of Array.from(source.attributes)) {
+        if (target.getAttribute(attr.name) !== attr.value) {
+            target.setAttribute(attr.name, attr.value);
+        }
+    }
+}
+
+// Walk both trees in parallel, touching only the nodes that differ
+function lcdPatchNodes(target, source) {
+    const current = Array.from(target.childNodes);
+    const next = Array.from(source.childNodes);
+
+    next.forEach((node, i) => {
+        const existing = current[i];
+        if (!existing) {
+            target.appendChild(node);
+        } else if (!lcdIsSameNode(existing, node)) {
+            target.replaceChild(node, existing);
+        } else if (node.nodeType === Node.ELEMENT_NODE) {
+            lcdPatchAttributes(existing, node);
+            // Nested custom elements render their own children
+            if (!node.localName.includes('-')) {
+                lcdPatchNodes(existing, node);
+            }
+        } else if (existing.nodeValue !== node.nodeValue) {
+            existing.nodeValue = node.nodeValue;
+        }
+    });
+
+    for (let i = current.length - 1; i >= next.length; i--) {
+        target.removeChild(current[i]);
+    }
+}
+
+/**
+ * Patch an element's children to match an HTML string.
+ * Unchanged nodes are kept; only differing text, attributes (including style)
+ * and structurally different subtrees are replaced.
+ */
+function lcdPatchHtml(target, html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    lcdPatchNodes(target, template.content);
+}
+
+const LCD_ESCAPE_MAP = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute.
+ * null, undefined and false render as an empty string.
+ */
+function lcdEscape(value) {
+    if (value === null || value === undefined || value === false) return '';
+    return String(value).replace(/[&<>"'`]/g, c => LCD_ESCAPE_MAP[c]);
+}
+
+/**
+ * LcdSafeHtml - Markup that has already been escaped or is trusted.
+ * Produced by lcdHtml and lcdRaw; inserted into templates as-is.
+ */
+class LcdSafeHtml {
+    constructor(html) {
+        this.html = html;
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+// Convert a template value to escaped markup
+function lcdHtmlValue(value) {
+    if (value instanceof LcdSafeHtml) return value.html;
+    if (Array.isArray(value)) return value.map(lcdHtmlValue).join('');
+    return lcdEscape(value);
+}
+
+/**
+ * Tagged template that escapes every interpolated value.
+ *
+ *   lcdHtml`<span title="${label}">${value}</span>`
+ *
+ * Nested lcdHtml results and arrays of them are inserted without
+ * re-escaping. Values placed directly after `=` (an unquoted attribute)
+ * are wrapped in quotes so they cannot add further attributes.
+ */
+function lcdHtml(strings, ...values) {
+    let out = strings[0];
+    values.forEach((value, i) => {
+        const markup = lcdHtmlValue(value);
+        out += /=\s*$/.test(strings[i]) ? `"${markup}"` : markup;
+        out += strings[i + 1];
+    });
+    return new LcdSafeHtml(out);
+}
+
+/** Mark a string as trusted markup. Only use for markup the page itself generated. */
+function lcdRaw(html) {
+    return new LcdSafeHtml(String(html ?? ''));
+}
+
+const LCD_COLOR_PATTERNS = [
+    /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i,
+    /^(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch)\(\s*[-+\d.%\s,/a-z]*\)$/i,
+    /^var\(\s*--[\w-]+\s*(?:,\s*#[0-9a-f]{3,8}\s*)?\)$/i,
+    /^oklch\(\s*var\(\s*--[\w-]+\s*\)\s*\)$/i,
+    /^[a-z]+$/i
+];
+
+/**
+ * Validate a CSS color before it is placed in a style attribute.
+ * Accepts hex, functional notations with plain numeric arguments,
+ * var(--name) references and named colors. Anything else (e.g. values
+ * containing ';', 'url(' or quotes) returns the fallback.
+ */
+function lcdSafeColor(value, fallback = '') {
+    if (typeof value !== 'string') return fallback;
+    const color = value.trim();
+    return LCD_COLOR_PATTERNS.some(pattern => pattern.test(color)) ? color : fallback;
+}
+
+/**
+ * Validate a space separated list of CSS class names (e.g. "text-success",
+ * "bg-base-200/50"). Returns the fallback when any token contains characters
+ * outside the Tailwind class alphabet.
+ */
+function lcdSafeClass(value, fallback = '') {
+    if (typeof value !== 'string') return fallback;
+    const classes = value.trim();
+    return /^[\w\-:/.[\]]+(?:\s+[\w\-:/.[\]]+)*$/.test(classes) ? classes : fallback;
+}
+
+/**
+ * Built-in icon set: the inner markup of 24x24 outline SVGs. Icons are
+ * stroked with currentColor so they take the surrounding text color.
+ */
+const LCD_ICONS = {
+    cpu: '<rect x="5" y="5" width="14" height="14" rx="2"/><rect x="9" y="9" width="6" height="6"/><path d="M9 2v3M15 2v3M9 19v3M15 19v3M2 9h3M2 15h3M19 9h3M19 15h3"/>',
+    gpu: '<rect x="2" y="6" width="20" height="12" rx="2"/><circle cx="9" cy="12" r="3"/><path d="M15 10h3M15 14h3M6 18v3M10 18v3M14 18v3"/>',
+    ram: '<rect x="2" y="6" width="20" height="10" rx="1"/><path d="M6 10v2M10 10v2M14 10v2M18 10v2M5 16v3M9 16v3M15 16v3M19 16v3"/>',
+    disk: '<rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="12" cy="11" r="4"/><circle cx="12" cy="11" r="0.5"/><path d="M7 18h.01M17 18h.01"/>',
+    network: '<rect x="9" y="2" width="6" height="5" rx="1"/><rect x="2" y="17" width="6" height="5" rx="1"/><rect x="16" y="17" width="6" height="5" rx="1"/><path d="M12 7v5M5 17v-5h14v5"/>',
+    fan: '<circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="1.5"/><path d="M12 10.5c-1-3 0-6 3-6.5M13.5 12c3-1 6 0 6.5 3M12 13.5c1 3 0 6-3 6.5M10.5 12c-3 1-6 0-6.5-3"/>',
+    temperature: '<path d="M14 14.8V4.5a2 2 0 0 0-4 0v10.3a4 4 0 1 0 4 0z"/><path d="M12 17.5V10"/>',
+    power: '<path d="M12 2v10"/><path d="M18.4 6.6a9 9 0 1 1-12.8 0"/>',
+    vm: '<rect x="2" y="3" width="20" height="14" rx="2"/><rect x="8" y="7" width="8" height="6"/><path d="M8 21h8M12 17v4"/>',
+    container: '<path d="M21 16V8l-9-5-9 5v8l9 5 9-5z"/><path d="M3.3 7.5 12 12.5l8.7-5M12 22v-9.5"/>',
+    clock: '<circle cx="12" cy="12" r="10"/><path d="M12 6v6l4 2"/>',
+    server: '<rect x="2" y="3" width="20" height="8" rx="2"/><rect x="2" y="13" width="20" height="8" rx="2"/><path d="M6 7h.01M6 17h.01"/>',
+    battery: '<rect x="2" y="7" width="17" height="10" rx="2"/><path d="M22 11v2M6 10v4M10 10v4"/>',
+    upload: '<path d="M12 19V5M5 12l7-7 7 7"/>',
+    download: '<path d="M12 5v14M19 12l-7 7-7-7"/>',
+    warning: '<path d="M10.3 3.9 1.8 18a2 2 0 0 0 1.7 3h17a2 2 0 0 0 1.7-3L13.7 3.9a2 2 0 0 0-3.4 0z"/><path d="M12 9v4M12 17h.01"/>',
+    check: '<circle cx="12" cy="12" r="10"/><path d="m8 12 3 3 5-6"/>'
+};
+
+// Alternative names for the built-in icons
+const LCD_ICON_ALIASES = {
+    memory: 'ram',
+    storage: 'disk',
+    hdd: 'disk',
+    ssd: 'disk',
+    ethernet: 'network',
+    temp: 'temperature',
+    thermometer: 'temperature',
+    docker: 'container',
+    uptime: 'clock',
+    alert: 'warning'
+};
+
+/**
+ * Register an icon for the page, e.g.
+ *   lcdRegisterIcon('ups', '<rect x="4" y="6" width="16" height="12" rx="2"/><path d="M12 9v6"/>');
+ * The markup is the inside of a 24x24 SVG (pass viewBox for other sizes) and is
+ * trusted as-is; use stroke/fill "currentColor" to follow the theme.
+ * Registering an existing name replaces it.
+ */
+function lcdRegisterIcon(name, markup, viewBox = '0 0 24 24') {
+    LCD_ICONS[String(name).toLowerCase()] = { markup: String(markup), viewBox };
+}
+
+// Resolve an icon name (case-insensitive, registered names before aliases) to its LCD_ICONS key
+function lcdIconKey(name) {
+    const key = String(name ?? '').trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(LCD_ICONS, key)) return key;
+    return LCD_ICON_ALIASES[key] || null;
+}
+
+/**
+ * Returns the inline SVG for an icon (an LcdSafeHtml for use in lcdHtml
+ * templates), or null when the name is unknown so callers can fall back
+ * to showing the text (e.g. an emoji).
+ */
+function lcdIcon(name, className = '') {
+    const key = lcdIconKey(name);
+    if (!key) return null;
+    const icon = LCD_ICONS[key];
+    const { markup, viewBox } = typeof icon === 'string' ? { markup: icon, viewBox: '0 0 24 24' } : icon;
+    const classes = ['lcd-icon-svg', lcdSafeClass(className)].filter(Boolean).join(' ');
+    return lcdHtml`<svg class="${classes}" viewBox="${viewBox}" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">${lcdRaw(markup)}</svg>`;
+}
+
+// Easing curves for LcdTween, keyed by the `easing` prop value
+const LCD_EASINGS = {
+    'linear': t => t,
+    'ease-in': t => t * t * t,
+    'ease-out': t => 1 - Math.pow(1 - t, 3),
+    'ease-in-out': t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+
+/**
+ * LcdTween - requestAnimationFrame interpolation of a single number
+ *
+ * to() starts a tween from the currently displayed value, so a new target
+ * arriving mid-tween continues smoothly from where the animation is rather
+ * than jumping. The first value (and any value with duration 0) is applied
+ * immediately. onFrame is called with the current value on every frame.
+ */
+class LcdTween {
+    constructor(onFrame) {
+        this.value = null;
+        this._onFrame = onFrame;
+        this._from = 0;
+        this._target = null;
+        this._start = 0;
+        this._duration = 0;
+        this._ease = LCD_EASINGS['ease-out'];
+        this._frame = null;
+    }
+
+    get running() {
+        return this._frame !== null;
+    }
+
+    to(target, duration = 500, easing = 'ease-out') {
+        if (target === this._target) return;
+        this._target = target;
+
+        if (this.value === null || !(duration > 0) || !Number.isFinite(target)) {
+            this.cancel();
+            this.value = target;
+            return;
+        }
+
+        this._from = this.value;
+        this._start = performance.now();
+        this._duration = duration;
+        this._ease = LCD_EASINGS[easing] || LCD_EASINGS['ease-out'];
+        if (this._frame === null) {
+            this._frame = requestAnimationFrame(now => this._step(now));
+        }
+    }
+
+    cancel() {
+        if (this._frame !== null) {
+            cancelAnimationFrame(this._frame);
+            this._frame = null;
+        }
+    }
+
+    /** Stop animating and jump to the target value. */
+    finish() {
+        this.cancel();
+        if (this._target !== null) this.value = this._target;
+    }
+
+    _step(now) {
+        const t = Math.min(1, Math.max(0, (now - this._start) / this._duration));
+        this.value = this._from + (this._target - this._from) * this._ease(t);
+        this._frame = t < 1 ? requestAnimationFrame(next => this._step(next)) : null;
+        this._onFrame(this.value);
+    }
+}
+
+/**
+ * LcdTweens - A component's animated values, keyed by name. Each new target
+ * is tweened using the host's `duration` (ms) and `easing` props, and the
+ * host re-renders on every frame until the value arrives.
+ */
+class LcdTweens {
+    constructor(host) {
+        this._host = host;
+        this._tweens = {};
+    }
+
+    /** The value to display for `key`. Call from render() with the target value. */
+    value(key, target) {
+        let tween = this._tweens[key];
+        if (!tween) {
+            tween = this._tweens[key] = new LcdTween(() => {
+                if (this._host.isConnected) this._host.update();
+            });
+        }
+        tween.to(target, this._host.numberProp('duration', 500), this._host.prop('easing', 'ease-out'));
+        return tween.value;
+    }
+
+    /** Jump every value to its target, e.g. when the host is detached. */
+    finish() {
+        Object.values(this._tweens).forEach(tween => tween.finish());
+    }
+}
+
+// Helper to get CSS variable value
+function lcdCssVar(name) {
+    return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
+
+// Resolved [r, g, b] (0-255) per CSS color string, and the 1px canvas used to resolve them
+const LCD_COLOR_RGB = new Map();
+let lcdColorCanvas = null;
+
+/**
+ * Resolve a CSS color (hex, rgb(), named, oklch(), var(--name), ...) to
+ * [r, g, b], or null when it isn't a color. Colors are drawn on a 1px
+ * canvas so every notation the browser knows is covered; hex and rgb()
+ * are parsed directly where there is no canvas.
+ */
+function lcdColorRgb(color) {
+    let text = String(color ?? '').trim();
+    const variable = /^var\((--[\w-]+)\)$/.exec(text);
+    if (variable) text = lcdCssVar(variable[1]);
+    if (!text) return null;
+    if (LCD_COLOR_RGB.has(text)) return LCD_COLOR_RGB.get(text);
+
+    let rgb = null;
+    const hex = /^#([\da-f]{3}|[\da-f]{6})$/i.exec(text);
+    const functional = /^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i.exec(text);
+    if (hex) {
+        const digits = hex[1].length === 3 ? [...hex[1]].map(c => c + c) : hex[1].match(/../g);
+        rgb = digits.map(pair => parseInt(pair, 16));
+    } else if (functional) {
+        rgb = functional.slice(1, 4).map(Number);
+    } else {
+        if (lcdColorCanvas === null) {
+            lcdColorCanvas = document.createElement('canvas').getContext('2d', { willReadFrequently: true }) || false;
+        }
+        if (lcdColorCanvas && CSS.supports('color', text)) {
+            lcdColorCanvas.clearRect(0, 0, 1, 1);
+            lcdColorCanvas.fillStyle = text;
+            lcdColorCanvas.fillRect(0, 0, 1, 1);
+            rgb = Array.from(lcdColorCanvas.getImageData(0, 0, 1, 1).data.slice(0, 3));
+        }
+    }
+    LCD_COLOR_RGB.set(text, rgb);
+    return rgb;
+}
+
+// WCAG relative luminance of an [r, g, b] color, from 0 (black) to 1 (white)
+function lcdLuminance(rgb) {
+    const [r, g, b] = rgb.map(channel => {
+        const c = channel / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// WCAG contrast ratio between two [r, g, b] colors, from 1 (none) to 21 (black on white)
+function lcdContrastRatio(a, b) {
+    const [light, dark] = [lcdLuminance(a), lcdLuminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Threshold levels, from least to most severe, and how each looks for the
+ * two color families. `tone` is the DaisyUI semantic color (text-*, progress-*).
+ */
+const LCD_THRESHOLD_LEVELS = ['normal', 'elevated', 'warning', 'critical'];
+
+const LCD_THRESHOLD_STYLES = {
+    usage: {
+        normal: { cssVar: '--color-usage-low', fallback: '#00ff88', tone: 'success' },
+        elevated: { cssVar: '--color-usage-medium', fallback: '#ffff00', tone: 'info' },
+        warning: { cssVar: '--color-usage-high', fallback: '#ffaa00', tone: 'warning' },
+        critical: { cssVar: '--color-usage-critical', fallback: '#ff4444', tone: 'error' }
+    },
+    temp: {
+        normal: { cssVar: '--color-temp-cool', fallback: '#00d4ff', tone: 'primary' },
+        elevated: { cssVar: '--color-temp-warm', fallback: '#ffaa00', tone: 'warning' },
+        warning: { cssVar: '--color-temp-warm', fallback: '#ffaa00', tone: 'warning' },
+        critical: { cssVar: '--color-temp-hot', fallback: '#ff4444', tone: 'error' }
+    }
+};
+
+/**
+ * Named threshold profiles.
+ *   kind - "usage" or "temp" color family
+ *   basis - "percent" compares value/max as 0-100, "value" compares the raw value
+ *   elevated/warning/critical - breakpoints (any may be omitted)
+ *   inverse - true when low values are bad (e.g. free space)
+ */
+const LCD_THRESHOLD_PROFILES = {
+    'usage': { kind: 'usage', basis: 'percent', elevated: 50, warning: 70, critical: 90, inverse: false },
+    'inverse-usage': { kind: 'usage', basis: 'percent', warning: 20, critical: 10, inverse: true },
+    'cpu-temp': { kind: 'temp', basis: 'value', warning: 70, critical: 85, inverse: false },
+    'gpu-temp': { kind: 'temp', basis: 'value', warning: 75, critical: 83, inverse: false },
+    'disk-temp': { kind: 'temp', basis: 'value', warning: 55, critical: 70, inverse: false }
+};
+
+/**
+ * Normalize a thresholds spec into a profile object. This is what every
+ * component's `thresholds` prop accepts:
+ *   - a profile name: a built-in one ("usage", "inverse-usage", "cpu-temp",
+ *     "gpu-temp", "disk-temp") or one added with lcdRegisterThresholds()
+ *   - an array of breakpoints: [warning, critical] or [elevated, warning, critical]
+ *     (descending values mean inverse, e.g. [20, 10] for free space)
+ *   - an object, optionally extending a named profile:
+ *     { profile: "cpu-temp", warning: 80 } or { warning: 60, critical: 80, kind: "temp" }
+ * Anything missing or unknown falls back to the named fallback profile.
+ */
+function lcdResolveThresholds(spec, fallback = 'usage') {
+    const base = LCD_THRESHOLD_PROFILES[fallback] || LCD_THRESHOLD_PROFILES.usage;
+    if (spec === null || spec === undefined || spec === '') return base;
+    if (typeof spec === 'string') return LCD_THRESHOLD_PROFILES[spec] || base;
+
+    if (Array.isArray(spec)) {
+        const points = spec.map(Number).filter(Number.isFinite);
+        if (points.length === 0) return base;
+        const [elevated, warning, critical] = points.length >= 3 ? points : [undefined, ...points];
+        return {
+            kind: base.kind,
+            basis: base.basis,
+            elevated,
+            warning,
+            critical,
+            inverse: points.length > 1 && points[0] > points[points.length - 1]
+        };
+    }
+
+    if (typeof spec === 'object') {
+        const parent = LCD_THRESHOLD_PROFILES[spec.profile] || base;
+        const profile = { ...parent };
+        for (const key of ['kind', 'basis', 'inverse', ...LCD_THRESHOLD_LEVELS.slice(1)]) {
+            if (spec[key] !== undefined) profile[key] = spec[key];
+        }
+        if (spec.inverse === undefined && spec.warning !== undefined && spec.critical !== undefined) {
+            profile.inverse = Number(spec.warning) > Number(spec.critical);
+        }
+        if (!LCD_THRESHOLD_STYLES[profile.kind]) profile.kind = parent.kind;
+        return profile;
+    }
+
+    return base;
+}
+
+/**
+ * Register a named threshold profile for the page, e.g.
+ *   lcdRegisterThresholds('nvme-temp', { kind: 'temp', warning: 60, critical: 70 });
+ * Components then accept thresholds="nvme-temp". Registering an existing name replaces it.
+ */
+function lcdRegisterThresholds(name, spec) {
+    LCD_THRESHOLD_PROFILES[name] = lcdResolveThresholds(spec, spec && spec.kind === 'temp' ? 'cpu-temp' : 'usage');
+}
+
+/** Returns the level ("normal", "elevated", "warning", "critical") for a value. */
+function lcdThresholdLevel(input, spec, fallback) {
+    const profile = lcdResolveThresholds(spec, fallback);
+    const reached = raw => {
+        const limit = raw === null || raw === undefined ? NaN : Number(raw);
+        return Number.isFinite(limit) && (profile.inverse ? input <= limit : input >= limit);
+    };
+    for (let i = LCD_THRESHOLD_LEVELS.length - 1; i > 0; i--) {
+        if (reached(profile[LCD_THRESHOLD_LEVELS[i]])) return LCD_THRESHOLD_LEVELS[i];
+    }
+    return 'normal';
+}
+
+/** Resolve a level to a concrete color from the theme CSS variables. */
+function lcdLevelColor(level, kind = 'usage') {
+    const style = (LCD_THRESHOLD_STYLES[kind] || LCD_THRESHOLD_STYLES.usage)[level];
+    return lcdCssVar(style.cssVar) || style.fallback;
+}
+
+/** Resolve a level to a DaisyUI semantic color name ("success", "warning", ...). */
+function lcdLevelTone(level, kind = 'usage') {
+    return (LCD_THRESHOLD_STYLES[kind] || LCD_THRESHOLD_STYLES.usage)[level].tone;
+}
+
+/** Resolve a level to a DaisyUI class, e.g. lcdLevelClass('warning', 'usage', 'progress') -> "progress-warning". */
+function lcdLevelClass(level, kind = 'usage', prefix = 'text') {
+    return `${prefix}-${lcdLevelTone(level, kind)}`;
+}
+
+/** Color for a value under a thresholds spec. */
+function lcdThresholdColor(input, spec, fallback) {
+    const profile = lcdResolveThresholds(spec, fallback);
+    return lcdLevelColor(lcdThresholdLevel(input, profile), profile.kind);
+}
+
+/** DaisyUI class for a value under a thresholds spec. */
+function lcdThresholdClass(input, spec, fallback, prefix = 'text') {
+    const profile = lcdResolveThresholds(spec, fallback);
+    return lcdLevelClass(lcdThresholdLevel(input, profile), profile.kind, prefix);
+}
+
+/**
+ * LcdThresholds - Reads a component's `thresholds` prop (profile name,
+ * breakpoint array or object) for color coding. `fallback` names the
+ * profile to use when the prop is not set.
+ */
+class LcdThresholds {
+    constructor(host) {
+        this._host = host;
+    }
+
+    profile(fallback = 'usage') {
+        const spec = this._host.prop('thresholds');
+        if (typeof spec === 'string' && !LCD_THRESHOLD_PROFILES[spec]) {
+            return lcdResolveThresholds(this._host.jsonProp('thresholds', null), fallback);
+        }
+        return lcdResolveThresholds(spec, fallback);
+    }
+
+    /**
+     * Level for a reading. Pass both the raw value and its percentage of max;
+     * the profile's basis decides which one is compared.
+     */
+    level(value, percentage, fallback = 'usage') {
+        const profile = this.profile(fallback);
+        return lcdThresholdLevel(profile.basis === 'value' ? value : percentage, profile);
+    }
+
+    /** Theme color for a reading. */
+    color(value, percentage, fallback = 'usage') {
+        return lcdLevelColor(this.level(value, percentage, fallback), this.profile(fallback).kind);
+    }
+
+    /** DaisyUI semantic color name for a reading. */
+    tone(value, percentage, fallback = 'usage') {
+        return lcdLevelTone(this.level(value, percentage, fallback), this.profile(fallback).kind);
+    }
+
+    /** DaisyUI class for a reading, e.g. "text-warning". */
+    className(value, percentage, fallback = 'usage', prefix = 'text') {
+        return `${prefix}-${this.tone(value, percentage, fallback)}`;
+    }
+
+    /**
+     * Dashed chart reference lines: one per breakpoint the profile defines,
+     * as { level, value, color, tone }, drawn at their value on the y-axis.
+     * Empty when `thresholds` is not set.
+     */
+    lines(fallback = 'usage') {
+        if (!this._host.prop('thresholds')) return [];
+        const profile = this.profile(fallback);
+        return LCD_THRESHOLD_LEVELS.slice(1)
+            .filter(level => profile[level] !== null && profile[level] !== undefined && Number.isFinite(Number(profile[level])))
+            .map(level => ({
+                level,
+                value: Number(profile[level]),
+                color: lcdLevelColor(level, profile.kind),
+                tone: lcdLevelTone(level, profile.kind)
+            }));
+    }
+}
+
+// Unit ladders for the scaled formats; unit-system picks binary (1024) or SI (1000) steps
+const LCD_UNIT_SYSTEMS = {
+    binary: { base: 1024, bytes: ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'] },
+    si: { base: 1000, bytes: ['B', 'kB', 'MB', 'GB', 'TB', 'PB'] }
+};
+
+// Network rates are always decimal, regardless of unit-system
+const LCD_BIT_RATE_UNITS = ['bps', 'Kbps', 'Mbps', 'Gbps', 'Tbps'];
+
+// Intl.NumberFormat instances keyed by locale and fraction digits
+const LCD_NUMBER_FORMATS = new Map();
+
+// Format a number with locale grouping and a fixed number of decimals
+function lcdFormatNumber(value, decimals = 0, locale = undefined, notation = 'standard') {
+    decimals = Math.min(20, Math.max(0, Math.round(decimals) || 0));
+    const key = `${locale || ''}|${decimals}|${notation}`;
+    let format = LCD_NUMBER_FORMATS.get(key);
+    if (!format) {
+        const options = notation === 'compact'
+            ? { notation: 'compact', maximumFractionDigits: decimals }
+            : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+        try {
+            format = new Intl.NumberFormat(locale || undefined, options);
+        } catch (e) {
+            // Unknown locale tag - use the browser default
+            format = new Intl.NumberFormat(undefined, options);
+        }
+        LCD_NUMBER_FORMATS.set(key, format);
+    }
+    return format.format(value);
+}
+
+// Scale a value down a unit ladder; decimals default to 1 below 100 and 0 above
+function lcdScaleUnits(value, base, units, decimals, locale) {
+    let scaled = value;
+    let index = 0;
+    while (Math.abs(scaled) >= base && index < units.length - 1) {
+        scaled /= base;
+        index++;
+    }
+    const places = decimals ?? (index === 0 || Math.abs(scaled) >= 100 ? 0 : 1);
+    return { value: lcdFormatNumber(scaled, places, locale), unit: units[index] };
+}
+
+// Format seconds as the two most significant parts, e.g. "3d 4h", "12m 5s"
+function lcdFormatDuration(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const parts = [
+        [Math.floor(total / 86400), 'd'],
+        [Math.floor(total % 86400 / 3600), 'h'],
+        [Math.floor(total % 3600 / 60), 'm'],
+        [total % 60, 's']
+    ];
+    const first = parts.findIndex(([amount]) => amount > 0);
+    if (first === -1) return '0s';
+    return parts.slice(first, first + 2)
+        .filter(([amount]) => amount > 0)
+        .map(([amount, suffix]) => `${amount}${suffix}`)
+        .join(' ');
+}
+
+// Format seconds as a running clock, e.g. "04:05", "03:04:05", "12d 03:04:05"
+function lcdFormatElapsed(seconds, locale = undefined) {
+    const total = Math.max(0, Math.floor(seconds));
+    const days = Math.floor(total / 86400);
+    const hours = Math.floor(total % 86400 / 3600);
+    const pad = amount => String(amount).padStart(2, '0');
+    const clock = `${pad(Math.floor(total % 3600 / 60))}:${pad(total % 60)}`;
+    if (days > 0) return `${lcdFormatNumber(days, 0, locale)}d ${pad(hours)}:${clock}`;
+    return hours > 0 ? `${pad(hours)}:${clock}` : clock;
+}
+
+// Seconds per duration suffix, largest first
+const LCD_DURATION_UNITS = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+
+// Parse "90", "90s", "15m", "1h" or "1.5d" into seconds; null when not a duration
+function lcdParseDuration(text) {
+    if (typeof text === 'number') return Number.isFinite(text) ? text : null;
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([smhd]?)\s*$/i.exec(String(text ?? ''));
+    if (!match) return null;
+    const unit = LCD_DURATION_UNITS.find(([suffix]) => suffix === (match[2].toLowerCase() || 's'));
+    return parseFloat(match[1]) * unit[1];
+}
+
+// Format a signed offset in seconds with its largest unit, e.g. "-5m", "-1.5h", "now"
+function lcdFormatOffset(seconds) {
+    const magnitude = Math.abs(seconds);
+    if (!Number.isFinite(seconds) || magnitude < 0.5) return 'now';
+    const [suffix, size] = LCD_DURATION_UNITS.find(([, size]) => magnitude >= size) || ['s', 1];
+    const amount = Math.round((magnitude / size) * 10) / 10;
+    return `${seconds < 0 ? '-' : '+'}${amount}${suffix}`;
+}
+
+// Parse a point in time given as Unix ms (number or digits) or an ISO 8601 string; NaN when invalid
+function lcdParseTime(time) {
+    if (typeof time === 'number') return time;
+    if (time instanceof Date) return time.getTime();
+    const text = String(time ?? '').trim();
+    return /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : Date.parse(text);
+}
+
+// Intl.DateTimeFormat instances keyed by locale, time zone and options
+const LCD_TIME_FORMATS = new Map();
+
+// A cached Intl.DateTimeFormat; an unknown locale or time zone falls back to the browser's
+function lcdTimeFormat(locale, timeZone, options) {
+    const key = `${locale || ''}|${timeZone || ''}|${JSON.stringify(options)}`;
+    let format = LCD_TIME_FORMATS.get(key);
+    if (!format) {
+        try {
+            format = new Intl.DateTimeFormat(locale || undefined, { ...options, timeZone: timeZone || undefined });
+        } catch (e) {
+            format = new Intl.DateTimeFormat(undefined, options);
+        }
+        LCD_TIME_FORMATS.set(key, format);
+    }
+    return format;
+}
+
+// Hours (0-23), minutes and seconds of a time in a time zone (default: local)
+function lcdTimeParts(time, timeZone) {
+    const parts = { hour: 0, minute: 0, second: 0 };
+    const format = lcdTimeFormat('en-US', timeZone, { hour: 'numeric', minute: 'numeric', second: 'numeric', hourCycle: 'h23' });
+    for (const part of format.formatToParts(time)) {
+        if (part.type in parts) parts[part.type] = Number(part.value) % (part.type === 'hour' ? 24 : 60);
+    }
+    return parts;
+}
+
+// Format the age of an event in seconds as whole units, e.g. "12s ago", "2m ago", "now"
+function lcdFormatAgo(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 1) return 'now';
+    const [suffix, size] = LCD_DURATION_UNITS.find(([, size]) => seconds >= size);
+    return `${Math.floor(seconds / size)}${suffix} ago`;
+}
+
+/**
+ * Format a value for display, split into the number text and its unit so
+ * components can style them separately. Options:
+ *   format - "number" (default), "percent" (0-100), "bytes", "byte-rate"
+ *            (bytes/s), "bit-rate" (bits/s), "duration" (seconds),
+ *            "frequency" (MHz), "compact" (12.3K) or "raw" (no formatting)
+ *   decimals - Fraction digits (default depends on the format)
+ *   unitSystem - "binary" (KiB, MiB; default) or "si" (kB, MB) for byte formats
+ *   locale - BCP 47 tag for digit grouping (default: browser locale)
+ * Values that are not numbers are returned unchanged.
+ *
+ *   lcdFormatParts(12884901888, { format: 'bytes' }) -> { value: '12.0', unit: 'GiB' }
+ */
+function lcdFormatParts(value, options = {}) {
+    const { format = 'number', decimals, unitSystem, locale } = options;
+    const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+    if (format === 'raw' || !Number.isFinite(number)) {
+        return { value: value ?? '', unit: '' };
+    }
+
+    const system = LCD_UNIT_SYSTEMS[unitSystem] || LCD_UNIT_SYSTEMS.binary;
+    switch (format) {
+        case 'percent':
+            return { value: lcdFormatNumber(number, decimals ?? 0, locale), unit: '%' };
+        case 'bytes':
+            return lcdScaleUnits(number, system.base, system.bytes, decimals, locale);
+        case 'byte-rate': {
+            const parts = lcdScaleUnits(number, system.base, system.bytes, decimals, locale);
+            return { value: parts.value, unit: `${parts.unit}/s` };
+        }
+        case 'bit-rate':
+            return lcdScaleUnits(number, 1000, LCD_BIT_RATE_UNITS, decimals, locale);
+        case 'duration':
+            return { value: lcdFormatDuration(number), unit: '' };
+        case 'frequency':
+            return Math.abs(number) >= 1000
+                ? { value: lcdFormatNumber(number / 1000, decimals ?? 2, locale), unit: 'GHz' }
+                : { value: lcdFormatNumber(number, decimals ?? 0, locale), unit: 'MHz' };
+        case 'compact':
+            return { value: lcdFormatNumber(number, decimals ?? 1, locale, 'compact'), unit: '' };
+        default:
+            return { value: lcdFormatNumber(number, decimals ?? 0, locale), unit: '' };
+    }
+}
+
+/** Format a value as a single string, e.g. "12.0 GiB", "45%", "3d 4h". */
+function lcdFormat(value, options = {}) {
+    const parts = lcdFormatParts(value, options);
+    if (!parts.unit) return String(parts.value);
+    return parts.unit === '%' ? `${parts.value}%` : `${parts.value} ${parts.unit}`;
+}
+
+/**
+ * LcdRingBuffer - Fixed capacity sample history
+ *
+ * Pushing past capacity overwrites the oldest entry, so appending is O(1)
+ * no matter how long the history is. `total` counts every value ever pushed,
+ * giving each sample a stable sequence number (total - length + index).
+ */
+class LcdRingBuffer {
+    constructor(capacity = 60) {
+        this.capacity = Math.max(1, Math.floor(capacity) || 1);
+        this.length = 0;
+        this.total = 0;
+        this._items = new Array(this.capacity);
+        this._start = 0;
+    }
+
+    push(value) {
+        if (this.length < this.capacity) {
+            this._items[(this._start + this.length) % this.capacity] = value;
+            this.length++;
+        } else {
+            this._items[this._start] = value;
+            this._start = (this._start + 1) % this.capacity;
+        }
+        this.total++;
+    }
+
+    pushMany(values) {
+        for (const value of values) this.push(value);
+    }
+
+    /** Change the capacity, keeping the newest samples. */
+    resize(capacity) {
+        capacity = Math.max(1, Math.floor(capacity) || 1);
+        if (capacity === this.capacity) return;
+        const values = this.toArray().slice(-capacity);
+        this.capacity = capacity;
+        this._items = new Array(capacity);
+        this._start = 0;
+        this.length = 0;
+        this.total -= values.length;
+        this.pushMany(values);
+    }
+
+    clear() {
+        this._start = 0;
+        this.length = 0;
+    }
+
+    /** Samples from oldest to newest. */
+    toArray() {
+        const values = new Array(this.length);
+        for (let i = 0; i < this.length; i++) {
+            values[i] = this._items[(this._start + i) % this.capacity];
+        }
+        return values;
+    }
+
+    /** Sequence numbers matching toArray(), for chart axes that should scroll. */
+    sequence() {
+        const first = this.total - this.length;
+        return Array.from({ length: this.length }, (_, i) => first + i);
+    }
+}
+
+/**
+ * LcdSeededBuffer - An LcdRingBuffer seeded from a JSON array prop (a
+ * sparkline's `values`, a log's `entries`) that the host can also append to.
+ *
+ * The buffer is reseeded only when the array's JSON changes. The parsed
+ * array can't be compared by identity: `props` is parsed again whenever any
+ * of its fields changes, and reseeding drops everything appended since.
+ * `parse`, when given, maps each seed item to what is stored; items it
+ * returns null or undefined for are skipped.
+ */
+class LcdSeededBuffer {
+    constructor(parse = null) {
+        this._parse = parse;
+        this._buffer = null;
+        this._source = null;
+        this._key = null;
+    }
+
+    /** The buffer for the prop's current array (null when unset), resized to `capacity`. */
+    get(source, capacity) {
+        if (!Array.isArray(source)) source = null;
+        // An unchanged parsed array has unchanged JSON; only serialize new ones
+        if (source !== this._source) {
+            this._source = source;
+            const key = source ? JSON.stringify(source) : null;
+            if (key !== this._key) {
+                this._key = key;
+                this._buffer = null;
+            }
+        }
+
+        if (!this._buffer) {
+            const items = source || [];
+            this._buffer = new LcdRingBuffer(capacity);
+            this._buffer.pushMany(this._parse ? items.map(this._parse).filter(item => item !== null && item !== undefined) : items);
+        } else {
+            this._buffer.resize(capacity);
+        }
+        return this._buffer;
+    }
+}
+
+/**
+ * Min, max and average of a series of numbers, with the index of the first
+ * minimum and maximum. Returns null for an empty series.
+ */
+function lcdSeriesStats(values) {
+    if (!values.length) return null;
+    let minIndex = 0;
+    let maxIndex = 0;
+    let sum = 0;
+    values.forEach((value, i) => {
+        if (value < values[minIndex]) minIndex = i;
+        if (value > values[maxIndex]) maxIndex = i;
+        sum += value;
+    });
+    return {
+        min: values[minIndex],
+        max: values[maxIndex],
+        avg: sum / values.length,
+        minIndex,
+        maxIndex
+    };
+}
+
+// Annotations accepted by the `markers` prop
+const LCD_SERIES_MARKERS = ['min', 'max', 'avg'];
+
+/**
+ * LcdSampleHistory - A chart component's sample history and the props that
+ * annotate it. The history is seeded from the `values` JSON array (see
+ * LcdSeededBuffer) and holds up to `capacity` samples (default: the larger
+ * of 60 and the length of `values`).
+ */
+class LcdSampleHistory {
+    constructor(host) {
+        this._host = host;
+        this._seeded = new LcdSeededBuffer();
+    }
+
+    /** The history as an LcdRingBuffer. */
+    buffer() {
+        const source = this._host.jsonProp('values', null);
+        const capacity = this._host.numberProp('capacity', 0) || Math.max(60, Array.isArray(source) ? source.length : 0);
+        return this._seeded.get(source, capacity);
+    }
+
+    /** Append numeric samples, ignoring anything that isn't a finite number. */
+    push(values) {
+        const numbers = Array.from(values ?? [], value => value === null || value === '' ? NaN : Number(value));
+        this.buffer().pushMany(numbers.filter(Number.isFinite));
+    }
+
+    /**
+     * Y-axis bounds for a series: the `y-min`/`y-max` props when set,
+     * otherwise the data extent. Always returns max > min.
+     */
+    range(values) {
+        const stats = lcdSeriesStats(values) || { min: 0, max: 1 };
+        const min = this._host.numberProp('yMin', stats.min);
+        const max = this._host.numberProp('yMax', Math.max(stats.max, min));
+        return { min, max: max > min ? max : min + 1 };
+    }
+
+    /**
+     * Annotations requested by the `markers` prop: "min,max,avg", "all",
+     * true or a JSON array. Returns a Set of marker names.
+     */
+    markers() {
+        let markers = this._host.prop('markers', '');
+        if (markers === true || markers === 'true' || markers === 'all') return new Set(LCD_SERIES_MARKERS);
+        if (typeof markers === 'string') markers = markers.startsWith('[') ? this._host.jsonProp('markers', []) : markers.split(',');
+        if (!Array.isArray(markers)) return new Set();
+        return new Set(markers.map(marker => String(marker).trim()).filter(marker => LCD_SERIES_MARKERS.includes(marker)));
+    }
+}
+
+/**
+ * LcdPeakHold - VU-meter style peak and rolling average of one reading
+ *
+ * record() takes each new reading. The peak jumps to new maxima, holds for
+ * `hold` ms, then drops to the latest reading; onRelease is called when the
+ * hold runs out so the owner can re-render. average() is time-weighted over
+ * the last `window` ms, so a value that is re-sent unchanged doesn't need
+ * to be recorded again.
+ */
+class LcdPeakHold {
+    constructor(onRelease) {
+        this.peak = null;
+        this._onRelease = onRelease;
+        this._current = null;
+        this._peakTime = 0;
+        this._samples = [];
+        this._timer = null;
+    }
+
+    record(value, now = performance.now()) {
+        if (!Number.isFinite(value) || value === this._current) return;
+        this._current = value;
+        this._samples.push({ time: now, value });
+        if (this.peak === null || value >= this.peak) {
+            this.peak = value;
+            this._peakTime = now;
+        }
+    }
+
+    /**
+     * Current peak after applying the hold time. Returns { value, fell },
+     * where fell is how far the peak just dropped (0 while holding).
+     */
+    release(hold, now = performance.now()) {
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (this.peak === null) return { value: null, fell: 0 };
+
+        const remaining = this._peakTime + hold - now;
+        if (this.peak > this._current && remaining <= 0) {
+            const fell = this.peak - this._current;
+            this.peak = this._current;
+            this._peakTime = now;
+            return { value: this.peak, fell };
+        }
+        if (this.peak > this._current) {
+            this._timer = setTimeout(() => {
+                this._timer = null;
+                this._onRelease();
+            }, remaining);
+        }
+        return { value: this.peak, fell: 0 };
+    }
+
+    /** Time-weighted mean of the readings over the last `window` ms. */
+    average(window, now = performance.now()) {
+        const start = now - window;
+        // Keep the newest sample from before the window; it covers the window's start
+        while (this._samples.length > 1 && this._samples[1].time <= start) this._samples.shift();
+
+        let total = 0;
+        let weight = 0;
+        this._samples.forEach((sample, i) => {
+            const from = Math.max(sample.time, start);
+            const to = i + 1 < this._samples.length ? this._samples[i + 1].time : now;
+            if (to > from) {
+                total += sample.value * (to - from);
+                weight += to - from;
+            }
+        });
+        return weight > 0 ? total / weight : this._current;
+    }
+
+    cancel() {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+}
+
+/**
+ * LcdLevelMarkers - Peak-hold and rolling-average markers for a component's
+ * 0-100 reading, from the host's props:
+ *   peak-hold - seconds the peak stays put before dropping (true means 1.5)
+ *   peak-decay - how fast it drops, in percent per second (default: 50)
+ *   average - rolling average window in seconds (true means 30)
+ * The host re-renders when a held peak is due to drop.
+ */
+class LcdLevelMarkers {
+    constructor(host) {
+        this._host = host;
+        this._peakHold = new LcdPeakHold(() => host.requestUpdate());
+    }
+
+    /**
+     * Call from render() with the latest (untweened) percentage. Returns
+     * { peak, fall, average }: peak and average are null when their prop is
+     * off; fall is the seconds to animate the peak down (0 means jump).
+     */
+    read(percentage) {
+        const seconds = (name, whenTrue) => {
+            const value = this._host.prop(name, 0);
+            return value === true || value === 'true' || value === '' ? whenTrue : parseFloat(value) || 0;
+        };
+        const hold = seconds('peakHold', 1.5);
+        const window = seconds('average', 30);
+        if (hold <= 0 && window <= 0) return { peak: null, fall: 0, average: null };
+
+        this._peakHold.record(percentage);
+        const peak = hold > 0 ? this._peakHold.release(hold * 1000) : { value: null, fell: 0 };
+        const decay = this._host.numberProp('peakDecay', 50);
+        return {
+            peak: peak.value,
+            fall: peak.fell > 0 && decay > 0 ? peak.fell / decay : 0,
+            average: window > 0 ? this._peakHold.average(window * 1000) : null
+        };
+    }
+
+    /** Stop the pending peak drop, e.g. when the host is detached. */
+    cancel() {
+        this._peakHold.cancel();
+    }
+}
+
+// Arrows for LcdTrendDelta directions
+const LCD_TREND_ARROWS = { up: '▲', down: '▼', flat: '▬' };
+
+/**
+ * LcdTrend - Remembers a reading's earlier values so its change can be
+ * shown: against the previous reading, or against the value it had a
+ * given time ago.
+ */
+class LcdTrend {
+    constructor() {
+        this._current = null;
+        this._previous = null;
+        this._samples = [];
+    }
+
+    record(value, now = performance.now()) {
+        if (!Number.isFinite(value)) return;
+        this._previous = this._current;
+        this._current = value;
+        // The windowed lookup only needs the times the value changed
+        const last = this._samples[this._samples.length - 1];
+        if (!last || last.value !== value) this._samples.push({ time: now, value });
+    }
+
+    /**
+     * Change of the latest reading against the one `window` ms ago (0 means
+     * the previous reading). Returns { base, delta }, or null with nothing
+     * to compare against yet.
+     */
+    delta(window, now = performance.now()) {
+        if (this._previous === null) return null;
+        let base = this._previous;
+        if (window > 0) {
+            const start = now - window;
+            // Keep the newest sample from before the window; it was the value at the window's start
+            while (this._samples.length > 1 && this._samples[1].time <= start) this._samples.shift();
+            base = this._samples[0].value;
+        } else {
+            this._samples.splice(0, this._samples.length - 1);
+        }
+        return { base, delta: this._current - base };
+    }
+}
+
+/**
+ * LcdTrendDelta - Up/down/flat change of a component's reading, from the
+ * host's props:
+ *   trend - compare against the value this many seconds ago, or a duration
+ *           such as "5m" (true means the previous reading)
+ *   trend-mode - "absolute" (default, in the host's format or unit) or "percent"
+ *   trend-good - "up" or "down": the direction that is good for this metric,
+ *                e.g. "down" for temperature and "up" for free space
+ */
+class LcdTrendDelta {
+    constructor(host) {
+        this._host = host;
+        this._trend = new LcdTrend();
+    }
+
+    /**
+     * Call from render() with the latest value (numbers inside strings like
+     * "63%" are read). `fallback` is the `trend` setting to use when the prop
+     * isn't set. Returns null when `trend` is off or there is nothing to
+     * compare against yet, else { direction, arrow, text, tone } with tone
+     * "good", "bad" or "neutral".
+     */
+    read(value, fallback = null) {
+        const host = this._host;
+        const setting = host.prop('trend', fallback);
+        if (setting === null || setting === false || setting === 'false') return null;
+        const window = setting === true || setting === 'true' || setting === '' ? 0 : lcdParseDuration(setting) || 0;
+
+        this._trend.record(typeof value === 'number' ? value : parseFloat(value));
+        const change = this._trend.delta(window * 1000);
+        if (!change) return null;
+
+        // Percent of a zero base is undefined; fall back to the absolute change
+        const percent = host.prop('trendMode', 'absolute') === 'percent' && change.base !== 0;
+        const amount = percent ? change.delta / Math.abs(change.base) * 100 : change.delta;
+        // Without a format the value's own unit prop (%, °C, GB) is carried over
+        const unit = percent || host.prop('format') ? '' : String(host.prop('unit', ''));
+        const format = number => percent
+            ? `${lcdFormatNumber(number, 1, host.prop('locale'))}%`
+            : `${host.formatValue(number, { format: 'number' })}${unit && !/^[%°]/.test(unit) ? ' ' : ''}${unit}`;
+        const text = format(Math.abs(amount));
+        // Changes that round away to nothing count as flat
+        const direction = text === format(0) ? 'flat' : amount > 0 ? 'up' : 'down';
+
+        const good = host.prop('trendGood', '');
+        const tone = direction === 'flat' || (good !== 'up' && good !== 'down') ? 'neutral'
+            : direction === good ? 'good' : 'bad';
+        return {
+            direction,
+            arrow: LCD_TREND_ARROWS[direction],
+            text: direction === 'flat' ? text : `${amount > 0 ? '+' : '-'}${text}`,
+            tone
+        };
+    }
+}
+
+// Modes for the `fit` prop
+const LCD_FIT_MODES = ['shrink', 'marquee', 'ellipsis'];
+
+// Shrunk font sizes keyed by text, font and box width, so re-fitting unchanged text costs one measurement
+const LCD_FIT_CACHE = new Map();
+const LCD_FIT_CACHE_LIMIT = 500;
+const LCD_FIT_MIN_FONT = 8;
+
+/** Wrap text for a data-fit box; the span is what gets measured and scrolled. */
+function lcdFitSpan(content) {
+    return lcdHtml`<span class="lcd-fit-text">${content}</span>`;
+}
+
+// Apply a fit result: mode classes, shrunk font size and marquee distance
+function lcdApplyFit(box, state) {
+    box.classList.add('lcd-fit', `lcd-fit-${state.mode}`);
+    box.style.fontSize = state.fontSize;
+    box.classList.toggle('lcd-fit-scrolling', state.distance > 0);
+    if (state.distance > 0) {
+        box.style.setProperty('--lcd-marquee-distance', `${-state.distance}px`);
+        box.style.setProperty('--lcd-marquee-duration', `${Math.max(6, state.distance / 25 + 4).toFixed(1)}s`);
+    }
+}
+
+/**
+ * Fit the text of a data-fit box on one line within the box's width:
+ *   shrink - lower the font size (binary search) until the text fits
+ *   marquee - scroll overflowing text back and forth
+ *   ellipsis - truncate with "…"
+ * The last result is kept on the box and restored before measuring, so a
+ * re-render that resets the box's attributes doesn't restart a marquee.
+ */
+function lcdFitText(box, mode) {
+    const previous = box._lcdFit && box._lcdFit.mode === mode ? box._lcdFit : null;
+    lcdApplyFit(box, previous || { mode, fontSize: '', distance: 0 });
+
+    const text = box.querySelector('.lcd-fit-text');
+    if (!text || mode === 'ellipsis') return;
+    if (mode === 'shrink') box.style.fontSize = '';
+    const width = box.clientWidth;
+    if (width === 0) return;
+
+    // How far the text runs past the box (the box is its offsetParent, see .lcd-fit).
+    // Offsets ignore transforms, so this is safe while a marquee is scrolling.
+    const overflow = () => text.offsetLeft + text.offsetWidth - box.clientWidth;
+    const state = { mode, fontSize: '', distance: 0 };
+    if (mode === 'marquee') {
+        const distance = overflow();
+        state.distance = distance > 1 ? distance : 0;
+    } else {
+        const style = getComputedStyle(box);
+        const natural = parseFloat(style.fontSize);
+        const key = [text.textContent, natural, width, style.fontFamily, style.fontWeight, style.letterSpacing].join('|');
+        let size = LCD_FIT_CACHE.get(key);
+        if (size === undefined) {
+            size = natural;
+            if (overflow() > 0) {
+                let low = LCD_FIT_MIN_FONT;
+                let high = natural;
+                while (high - low > 0.5) {
+                    const mid = (low + high) / 2;
+                    box.style.fontSize = `${mid}px`;
+                    if (overflow() > 0) high = mid;
+                    else low = mid;
+                }
+                size = low;
+            }
+            if (LCD_FIT_CACHE.size >= LCD_FIT_CACHE_LIMIT) {
+                LCD_FIT_CACHE.delete(LCD_FIT_CACHE.keys().next().value);
+            }
+            LCD_FIT_CACHE.set(key, size);
+        }
+        state.fontSize = size < natural ? `${size}px` : '';
+    }
+
+    box._lcdFit = state;
+    lcdApplyFit(box, state);
+}
+
+/**
+ * LcdFit - Applies the host's `fit` prop ("shrink", "marquee" or
+ * "ellipsis") to the text boxes its render() marked with data-fit (text
+ * wrapped in lcdFitSpan()). Call apply() after each update; it runs again
+ * by itself whenever the host is resized.
+ */
+class LcdFit {
+    constructor(host) {
+        this._host = host;
+        this._observer = null;
+    }
+
+    apply() {
+        const mode = this._host.prop('fit', '');
+        if (!LCD_FIT_MODES.includes(mode)) return;
+        if (!this._observer && typeof ResizeObserver !== 'undefined') {
+            this._observer = new ResizeObserver(() => this.apply());
+            this._observer.observe(this._host);
+        }
+        this._host.querySelectorAll('[data-fit]').forEach(box => lcdFitText(box, mode));
+    }
+
+    /** Stop watching the host's size, e.g. when it is detached. */
+    disconnect() {
+        if (this._observer) {
+            this._observer.disconnect();
+            this._observer = null;
+        }
+    }
+}
+
+/**
+ * LcdElement - Base class for all lcd-* web components
+ *
+ * Handles the lifecycle shared by every component:
+ *   - The `props` attribute is parsed once per change, not on every render
+ *   - Typed accessors read a prop from `props` (camelCase or snake_case)
+ *     and fall back to the matching kebab-case attribute
+ *   - Attribute changes are batched into a single microtask render
+ *   - render() returns markup (an lcdHtml template or string) which is
+ *     diffed against the live DOM
+ *   - formatParts()/formatValue() format numbers using the `format`,
+ *     `decimals`, `unit-system` and `locale` props
+ *
+ * Subclasses implement render(). Components that manage their own DOM
+ * (e.g. ECharts) return nothing from render() and update it themselves.
+ * onConnect()/onDisconnect() are available for setup and teardown.
+ * Features only some components have (LcdTweens, LcdThresholds,
+ * LcdSampleHistory, LcdFit, LcdLevelMarkers, LcdTrendDelta) are helper
+ * objects those components create, passing themselves as the host.
+ */
+class LcdElement extends HTMLElement {
+    constructor() {
+        super();
+        this._props = {};
+        this._jsonCache = {};
+        this._connected = false;
+        this._updatePending = false;
+        this._lastHtml = null;
+    }
+
+    static get observedAttributes() {
+        return ['props'];
+    }
+
+    connectedCallback() {
+        this._connected = true;
+        this.onConnect();
+        this.update();
+    }
+
+    disconnectedCallback() {
+        this._connected = false;
+        this.onDisconnect();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+        if (name === 'props') {
+            this._props = {};
+            if (newValue) {
+                try {
+                    this._props = JSON.parse(newValue) || {};
+                } catch (e) {}
+            }
+        }
+        this.requestUpdate();
+    }
+
+    /** Called when the element is attached, before the first render. */
+    onConnect() {}
+
+    /** Called when the element is detached. */
+    onDisconnect() {}
+
+    /** Schedule a render for the end of the current task. */
+    requestUpdate() {
+        if (!this._connected || this._updatePending) return;
+        this._updatePending = true;
+        queueMicrotask(() => {
+            this._updatePending = false;
+            if (this._connected) this.update();
+        });
+    }
+
+    /** Render immediately, patching the DOM if the markup changed. */
+    update() {
+        const result = this.render();
+        if (result === undefined || result === null) return;
+        const html = String(result);
+        if (html === this._lastHtml) return;
+        this._lastHtml = html;
+        lcdPatchHtml(this, html);
+    }
+
+    /** Returns the component markup. Build it with lcdHtml so props are escaped. */
+    render() {
+        return lcdHtml``;
+    }
+
+    /**
+     * Formatter options from the format props every formatted component shares:
+     *   format - "number", "percent" (0-100), "bytes", "byte-rate", "bit-rate",
+     *            "duration", "frequency", "compact" or "raw" (see lcdFormatParts)
+     *   decimals - Fraction digits (default depends on the format)
+     *   unit-system - "binary" (KiB, MiB; default) or "si" (kB, MB) for byte formats
+     *   locale - Locale for digit grouping (default: browser locale)
+     * `defaults` supplies the component's own choice (e.g. { format: 'percent' })
+     * when a prop is unset.
+     */
+    formatOptions(defaults = {}) {
+        return {
+            format: this.prop('format', defaults.format),
+            // null (not undefined) so numberProp's own default of 0 doesn't apply
+            decimals: this.numberProp('decimals', defaults.decimals ?? null),
+            unitSystem: this.prop('unitSystem', defaults.unitSystem),
+            locale: this.prop('locale', defaults.locale)
+        };
+    }
+
+    /** Format a value into { value, unit } parts using the element's format props. */
+    formatParts(value, defaults = {}) {
+        return lcdFormatParts(value, this.formatOptions(defaults));
+    }
+
+    /** Format a value into a single display string using the element's format props. */
+    formatValue(value, defaults = {}) {
+        return lcdFormat(value, this.formatOptions(defaults));
+    }
+
+    /**
+     * Display text for a reading shown against its max: the percentage by
+     * default, or the value itself when `format` is set to something else
+     * (e.g. format="bytes" on a memory bar).
+     */
+    formatPercentage(percentage, max) {
+        const showValue = this.prop('format', 'percent') !== 'percent';
+        return this.formatValue(showValue ? percentage / 100 * max : percentage, { format: 'percent' });
+    }
+
+    /** Read a raw prop value: props.camelCase, props.snake_case, then the kebab-case attribute. */
+    prop(name, fallback) {
+        const props = this._props;
+        const value = props[name] ?? props[lcdSnakeCase(name)] ?? this.getAttribute(lcdKebabCase(name));
+        return value ?? fallback;
+    }
+
+    /** Read a numeric prop, returning the fallback when missing or not a number. */
+    numberProp(name, fallback = 0) {
+        const value = parseFloat(this.prop(name));
+        return Number.isFinite(value) ? value : fallback;
+    }
+
+    /** Read a boolean prop. Both false and "false" count as false. */
+    boolProp(name, fallback = false) {
+        const value = this.prop(name);
+        if (value === undefined || value === null) return fallback;
+        return value !== false && value !== 'false';
+    }
+
+    /** Read a prop that holds JSON (objects or arrays). Attribute values are parsed once and cached. */
+    jsonProp(name, fallback) {
+        const props = this._props;
+        const value = props[name] ?? props[lcdSnakeCase(name)];
+        if (value !== undefined && value !== null) {
+            return typeof value === 'string' ? this._parseJson(name, value, fallback) : value;
+        }
+        const attr = this.getAttribute(lcdKebabCase(name));
+        return attr === null ? fallback : this._parseJson(name, attr, fallback);
+    }
+
+    _parseJson(name, raw, fallback) {
+        const cached = this._jsonCache[name];
+        if (cached && cached.raw === raw) return cached.value;
+        let value = fallback;
+        try {
+            value = JSON.parse(raw);
+        } catch (e) {}
+        this._jsonCache[name] = { raw, value };
+        return value;
+    }
+}
@@ -13,6 +13,23 @@ try {
             dotnet test $testProject.FullName --configuration Release --no-build
         }
     }
+
+    # Web component tests (html_assets/js in jsdom) need Node.js
+    if (Get-Command npm -ErrorAction SilentlyContinue) {
+        Push-Location 'tests/html-assets'
+        try {
+            npm install --no-audit --no-fund
+            if ($LASTEXITCODE -ne 0) { throw 'npm install failed for tests/html-assets' }
+            npm test
+            if ($LASTEXITCODE -ne 0) { throw 'Web component tests failed' }
+        }
+        finally {
+            Pop-Location
+        }
+    }
+    else {
+        Write-Warning 'npm not found; skipping web component tests in tests/html-assets'
+    }
 }
 finally {
     Pop-Location
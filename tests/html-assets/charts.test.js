@@ -0,0 +1,53 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage } = require('./helpers/page');
+
+// ECharts needs a real canvas; the stand-in records each chart's options instead
+const ECHARTS_STUB = `
+    window.echarts = {
+        init: () => ({
+            options: [],
+            setOption(option) { this.options.push(option); },
+            clear() {},
+            resize() {},
+            dispose() {}
+        })
+    };
+    window.ResizeObserver = class {
+        observe() {}
+        disconnect() {}
+    };
+`;
+
+let page;
+
+beforeEach(() => {
+    page = openPage({ scripts: ['lcd-core.js', 'echarts-components.js'], setup: ECHARTS_STUB });
+});
+
+afterEach(() => {
+    page.close();
+});
+
+describe('lcd-history-chart', () => {
+    const lastOption = element => element._chart.options[element._chart.options.length - 1];
+
+    it('places ticks on whole multiples back from now when the window is not a multiple', () => {
+        const element = page.mount('lcd-history-chart', { values: Array.from({ length: 60 }, (_, i) => i), window: '47' });
+        const { xAxis } = lastOption(element);
+
+        assert.equal(xAxis.min, -47);
+        assert.deepEqual(Array.from(xAxis.axisLabel.customValues), [-40, -30, -20, -10, 0]);
+        assert.deepEqual(Array.from(xAxis.axisTick.customValues), [-40, -30, -20, -10, 0]);
+    });
+
+    it('includes the window start when it falls on a tick', () => {
+        const element = page.mount('lcd-history-chart', { values: [1, 2, 3], interval: '60', window: '15m' });
+        const { xAxis } = lastOption(element);
+
+        assert.deepEqual(Array.from(xAxis.axisLabel.customValues), [-900, -600, -300, 0]);
+        assert.equal(xAxis.axisLabel.formatter(-300), '-5m');
+    });
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage } = require('./helpers/page');
+
+let page;
+
+beforeEach(() => {
+    page = openPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+describe('lcd-status-grid', () => {
+    it('renders where ResizeObserver is unavailable', () => {
+        assert.equal(typeof page.window.ResizeObserver, 'undefined');
+        const element = page.mount('lcd-status-grid', {
+            title: 'Cores',
+            items: [{ label: 'C0', value: 20 }, { label: 'C1', value: 95 }]
+        });
+        assert.equal(element.querySelectorAll('.lcd-status-cell').length, 2);
+    });
+});
+
+describe('lcd-table', () => {
+    const columns = [
+        { key: 'name', label: 'VM' },
+        { key: 'status', type: 'status-dot' },
+        { key: 'cpu', label: 'CPU', type: 'percent-bar' }
+    ];
+    const rows = [
+        { name: 'web', status: 'running', cpu: 12 },
+        { name: 'db', status: 'stopped', cpu: 0 }
+    ];
+
+    it('renders where ResizeObserver is unavailable', () => {
+        const element = page.mount('lcd-table', { title: 'VMs', columns, rows });
+        assert.equal(element.querySelectorAll('.lcd-table-row').length, 2);
+    });
+
+    it('uses the formatted cell text as the cell title', () => {
+        const element = page.mount('lcd-table', {
+            columns: [
+                { key: 'name' },
+                { key: 'mem', type: 'bytes', decimals: 1 },
+                { key: 'cpu', type: 'percent-bar' },
+                { key: 'tags' },
+                { key: 'meta' }
+            ],
+            rows: [{ name: 'web', mem: 2147483648, cpu: 42.4, tags: ['prod', 'eu'], meta: { node: 'pve1' } }],
+            locale: 'en-US'
+        });
+        const titles = Array.from(element.querySelectorAll('.lcd-table-row .lcd-table-cell'), cell => cell.title);
+        assert.deepEqual(titles, ['web', '2.0 GiB', '42%', 'prod, eu', '']);
+        assert.doesNotMatch(element.innerHTML, /\[object Object\]/);
+    });
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage } = require('./helpers/page');
+
+let page;
+
+beforeEach(() => {
+    page = openPage({ scripts: ['lcd-core.js'] });
+});
+
+afterEach(() => {
+    page.close();
+});
+
+describe('lcdHtml', () => {
+    it('escapes interpolated values', () => {
+        const lcdHtml = page.get('lcdHtml');
+        const label = '<img src=x onerror="alert(1)">';
+        assert.equal(String(lcdHtml`<span title="${label}">${label}</span>`),
+            '<span title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt;">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</span>');
+    });
+
+    it('quotes values placed in unquoted attributes', () => {
+        const lcdHtml = page.get('lcdHtml');
+        assert.equal(String(lcdHtml`<b class=${'a onclick=x'}></b>`), '<b class="a onclick=x"></b>');
+    });
+
+    it('inserts nested templates and arrays of them as markup', () => {
+        const lcdHtml = page.get('lcdHtml');
+        const items = ['a', '<b>'].map(item => lcdHtml`<li>${item}</li>`);
+        assert.equal(String(lcdHtml`<ul>${items}</ul>`), '<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+    });
+
+    it('renders null, undefined and false as nothing', () => {
+        const lcdHtml = page.get('lcdHtml');
+        assert.equal(String(lcdHtml`[${null}${undefined}${false}${0}]`), '[0]');
+    });
+});
+
+describe('lcdPatchHtml', () => {
+    it('keeps unchanged nodes and updates text and attributes in place', () => {
+        const lcdPatchHtml = page.get('lcdPatchHtml');
+        const root = page.document.createElement('div');
+        lcdPatchHtml(root, '<p class="a" data-x="1">one</p><span>two</span>');
+        const [p, span] = root.children;
+
+        lcdPatchHtml(root, '<p class="b">uno</p><span>two</span>');
+
+        assert.equal(root.children[0], p);
+        assert.equal(root.children[1], span);
+        assert.equal(p.className, 'b');
+        assert.equal(p.hasAttribute('data-x'), false);
+        assert.equal(p.textContent, 'uno');
+    });
+
+    it('replaces nodes whose tag changed and removes surplus nodes', () => {
+        const lcdPatchHtml = page.get('lcdPatchHtml');
+        const root = page.document.createElement('div');
+        lcdPatchHtml(root, '<p>one</p><span>two</span><i>three</i>');
+        const p = root.children[0];
+
+        lcdPatchHtml(root, '<b>one</b><span>two</span>');
+
+        assert.notEqual(root.children[0], p);
+        assert.equal(root.innerHTML, '<b>one</b><span>two</span>');
+    });
+
+    it('leaves the children of nested custom elements alone', () => {
+        const lcdPatchHtml = page.get('lcdPatchHtml');
+        const root = page.document.createElement('div');
+        lcdPatchHtml(root, '<x-child></x-child>');
+        root.firstChild.innerHTML = '<em>own content</em>';
+
+        lcdPatchHtml(root, '<x-child title="t"></x-child>');
+
+        assert.equal(root.firstChild.title, 't');
+        assert.equal(root.firstChild.innerHTML, '<em>own content</em>');
+    });
+});
+
+describe('LcdRingBuffer', () => {
+    it('keeps the newest samples once full', () => {
+        const buffer = new (page.get('LcdRingBuffer'))(3);
+        buffer.pushMany([1, 2, 3, 4, 5]);
+        assert.deepEqual(Array.from(buffer.toArray()), [3, 4, 5]);
+        assert.equal(buffer.length, 3);
+        assert.equal(buffer.total, 5);
+        assert.deepEqual(Array.from(buffer.sequence()), [2, 3, 4]);
+    });
+
+    it('keeps the newest samples when resized', () => {
+        const buffer = new (page.get('LcdRingBuffer'))(4);
+        buffer.pushMany([1, 2, 3, 4, 5]);
+        buffer.resize(2);
+        assert.deepEqual(Array.from(buffer.toArray()), [4, 5]);
+        buffer.resize(4);
+        buffer.push(6);
+        assert.deepEqual(Array.from(buffer.toArray()), [4, 5, 6]);
+        assert.equal(buffer.total, 6);
+    });
+
+    it('empties on clear', () => {
+        const buffer = new (page.get('LcdRingBuffer'))(3);
+        buffer.pushMany([1, 2]);
+        buffer.clear();
+        assert.deepEqual(Array.from(buffer.toArray()), []);
+    });
+});
+
+describe('lcdFormatParts', () => {
+    it('scales bytes in binary or SI steps', () => {
+        const lcdFormatParts = page.get('lcdFormatParts');
+        assert.deepEqual({ ...lcdFormatParts(12884901888, { format: 'bytes', locale: 'en-US' }) }, { value: '12.0', unit: 'GiB' });
+        assert.deepEqual({ ...lcdFormatParts(12884901888, { format: 'bytes', unitSystem: 'si', locale: 'en-US' }) }, { value: '12.9', unit: 'GB' });
+    });
+
+    it('formats percentages, durations and plain numbers', () => {
+        const lcdFormat = page.get('lcdFormat');
+        assert.equal(lcdFormat(45.678, { format: 'percent', locale: 'en-US' }), '46%');
+        assert.equal(lcdFormat(273600, { format: 'duration' }), '3d 4h');
+        assert.equal(lcdFormat(1234.5, { format: 'number', decimals: 1, locale: 'en-US' }), '1,234.5');
+    });
+
+    it('returns values that are not numbers unchanged', () => {
+        const lcdFormatParts = page.get('lcdFormatParts');
+        assert.equal(lcdFormatParts('n/a', { format: 'bytes' }).value, 'n/a');
+    });
+});
+
+describe('LcdElement', () => {
+    beforeEach(() => {
+        page.run(`
+            class LcdProbe extends LcdElement {
+                static get observedAttributes() {
+                    return ['label', 'items', 'props'];
+                }
+
+                render() {
+                    this.renders = (this.renders || 0) + 1;
+                    return lcdHtml\`<span>\${this.prop('label', '')}</span><b>\${this.jsonProp('items', []).length}</b>\`;
+                }
+            }
+            customElements.define('lcd-probe', LcdProbe);
+        `);
+    });
+
+    it('batches attribute changes into a single render', async () => {
+        const element = page.mount('lcd-probe', { label: 'one' });
+        assert.equal(element.renders, 1);
+
+        element.setAttribute('label', 'two');
+        element.setAttribute('items', '[1, 2]');
+        element.setAttribute('label', 'three');
+        await page.settle();
+
+        assert.equal(element.renders, 2);
+        assert.equal(element.innerHTML, '<span>three</span><b>2</b>');
+    });
+
+    it('reads props from the props JSON before attributes', async () => {
+        const element = page.mount('lcd-probe', { label: 'attribute' });
+        element.setAttribute('props', JSON.stringify({ label: 'from props', items: [1, 2, 3] }));
+        await page.settle();
+        assert.equal(element.innerHTML, '<span>from props</span><b>3</b>');
+    });
+
+    it('keeps its DOM nodes across renders', async () => {
+        const element = page.mount('lcd-probe', { label: 'one' });
+        const span = element.firstChild;
+        element.setAttribute('label', 'two');
+        await page.settle();
+        assert.equal(element.firstChild, span);
+        assert.equal(span.textContent, 'two');
+    });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ASSETS_JS = path.resolve(__dirname, '../../../src/LCDPossible.Sdk/html_assets/js');
+
+/**
+ * Open a jsdom page with the given html_assets scripts loaded as inline
+ * <script> tags, in order, the way HtmlPanel templates include them.
+ * Throws if any script fails to run.
+ *
+ * `setup` is page script run before them, e.g. to stand in for a library
+ * jsdom can't run.
+ *
+ * Returns the window plus helpers:
+ *   get(name) - a page global, including top-level classes and consts
+ *   run(code) - run code as a page script
+ *   mount(tag, attributes) - create an element, set its attributes and attach it
+ *   settle() - wait for pending microtask renders
+ *   close() - close the window, stopping its timers
+ */
+function openPage({ scripts = ['lcd-core.js', 'components.js'], setup = '' } = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            // Chromium has these; jsdom leaves them to the host
+            window.TextEncoder = TextEncoder;
+            window.TextDecoder = TextDecoder;
+        }
+    });
+    const { window } = dom;
+    const { document } = window;
+
+    const run = code => {
+        const script = document.createElement('script');
+        script.textContent = code;
+        document.head.appendChild(script);
+        if (errors.length) throw errors[0];
+    };
+
+    if (setup) run(setup);
+    for (const file of scripts) {
+        run(fs.readFileSync(path.join(ASSETS_JS, file), 'utf8'));
+    }
+
+    return {
+        window,
+        document,
+        run,
+        get: name => window.eval(name),
+        mount(tag, attributes = {}) {
+            const element = document.createElement(tag);
+            for (const [name, value] of Object.entries(attributes)) {
+                element.setAttribute(name, typeof value === 'string' ? value : JSON.stringify(value));
+            }
+            document.body.appendChild(element);
+            return element;
+        },
+        settle: () => new Promise(resolve => window.setTimeout(resolve, 0)),
+        close: () => window.close()
+    };
+}
+
+module.exports = { openPage };
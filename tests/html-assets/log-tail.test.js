@@ -0,0 +1,97 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage } = require('./helpers/page');
+
+let page;
+
+beforeEach(() => {
+    page = openPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+const messages = element => Array.from(element.querySelectorAll('.lcd-log-message'), line => line.textContent);
+
+describe('lcd-log-tail', () => {
+    it('appends to an element without seed entries', async () => {
+        const element = page.mount('lcd-log-tail', { title: 'Events' });
+        assert.match(element.textContent, /No events/);
+
+        element.append('Backup started');
+        element.appendMany([{ message: 'Disk 82% full', severity: 'warn' }, { message: 'VM 104 crashed', severity: 'error' }]);
+        await page.settle();
+
+        assert.deepEqual(messages(element), ['Backup started', 'Disk 82% full', 'VM 104 crashed']);
+        assert.deepEqual(Array.from(element.querySelectorAll('.lcd-log-line'), line => line.className.split(' ')[1]),
+            ['lcd-log-info', 'lcd-log-warning', 'lcd-log-critical']);
+    });
+
+    it('appends after the seed entries and keeps them across unrelated updates', async () => {
+        const element = page.mount('lcd-log-tail', { entries: ['boot'] });
+        element.append('login');
+        element.setAttribute('title', 'Host');
+        await page.settle();
+        assert.deepEqual(messages(element), ['boot', 'login']);
+    });
+
+    it('keeps appended entries when another field of props changes', async () => {
+        const element = page.mount('lcd-log-tail', { props: { entries: ['boot'], title: 'Host' } });
+        element.append('login');
+        await page.settle();
+
+        element.setAttribute('props', JSON.stringify({ entries: ['boot'], title: 'Host 2', timestamps: 'none' }));
+        await page.settle();
+
+        assert.deepEqual(messages(element), ['boot', 'login']);
+        assert.match(element.textContent, /Host 2/);
+    });
+
+    it('reseeds when entries inside props change', async () => {
+        const element = page.mount('lcd-log-tail', { props: { entries: ['boot'] } });
+        element.append('login');
+        element.setAttribute('props', JSON.stringify({ entries: ['reboot'] }));
+        await page.settle();
+        assert.deepEqual(messages(element), ['reboot']);
+    });
+
+    it('drops the oldest entries beyond max-lines', async () => {
+        const element = page.mount('lcd-log-tail', { 'max-lines': '2' });
+        element.appendMany(['one', 'two', 'three']);
+        await page.settle();
+        assert.deepEqual(messages(element), ['two', 'three']);
+    });
+
+    it('reseeds when entries change and empties on clear', async () => {
+        const element = page.mount('lcd-log-tail', { entries: ['a'] });
+        element.append('b');
+        element.setAttribute('entries', '["c"]');
+        await page.settle();
+        assert.deepEqual(messages(element), ['c']);
+
+        element.clear();
+        await page.settle();
+        assert.match(element.textContent, /No events/);
+    });
+
+    it('shows relative, clock or no timestamps', async () => {
+        const now = Date.now();
+        const element = page.mount('lcd-log-tail', { entries: [{ message: 'm', time: now - 120000 }] });
+        assert.match(element.querySelector('.lcd-log-time').textContent, /2m/);
+
+        element.setAttribute('timestamps', 'none');
+        await page.settle();
+        assert.equal(element.querySelector('.lcd-log-time'), null);
+    });
+
+    it('escapes entry messages', async () => {
+        const element = page.mount('lcd-log-tail');
+        element.append('<img src=x onerror=alert(1)>');
+        await page.settle();
+        assert.equal(element.querySelector('img'), null);
+        assert.deepEqual(messages(element), ['<img src=x onerror=alert(1)>']);
+    });
+});
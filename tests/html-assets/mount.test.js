@@ -0,0 +1,61 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { it } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage } = require('./helpers/page');
+
+const ASSETS_JS = path.resolve(__dirname, '../../src/LCDPossible.Sdk/html_assets/js');
+const SCRIPTS = ['lcd-core.js', 'components.js', 'daisyui-components.js', 'echarts-components.js'];
+
+// ECharts and ResizeObserver stand-ins, as in charts.test.js
+const STUBS = `
+    window.echarts = {
+        init: () => ({ setOption() {}, clear() {}, resize() {}, dispose() {} })
+    };
+    window.ResizeObserver = class {
+        observe() {}
+        disconnect() {}
+    };
+`;
+
+// One set of attributes covering the optional features (thresholds, tweens,
+// fit, peak-hold, trend, markers) and each component's data prop
+const ATTRIBUTES = {
+    title: 'Host',
+    label: 'CPU',
+    value: '42',
+    max: '100',
+    values: [1, 5, 3, 80],
+    items: [{ label: 'Load', value: 3 }],
+    rings: [{ label: 'CPU', value: 40 }, { label: 'GPU', value: 90 }],
+    series: [{ name: 'CPU', values: [1, 2] }],
+    columns: [{ key: 'cpu', type: 'percent-bar' }],
+    rows: [{ cpu: 50 }],
+    entries: ['boot'],
+    thresholds: 'usage',
+    duration: '0',
+    fit: 'shrink',
+    'peak-hold': 'true',
+    average: '5',
+    trend: 'true',
+    markers: 'all'
+};
+
+it('mounts, updates and detaches every lcd-* element without errors', async () => {
+    const page = openPage({ scripts: SCRIPTS, setup: STUBS });
+    const tags = SCRIPTS.flatMap(file => Array.from(
+        fs.readFileSync(path.join(ASSETS_JS, file), 'utf8').matchAll(/customElements\.define\('([\w-]+)'/g),
+        match => match[1]));
+    assert.ok(tags.length > 30);
+
+    for (const tag of tags) {
+        const element = page.mount(tag, ATTRIBUTES);
+        element.setAttribute('value', '60');
+        element.setAttribute('props', JSON.stringify({ label: 'GPU', value: 70 }));
+        await page.settle();
+        element.remove();
+    }
+    page.close();
+});
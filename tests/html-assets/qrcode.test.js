@@ -0,0 +1,110 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jsQR = require('jsqr');
+const { openPage } = require('./helpers/page');
+
+let page;
+
+beforeEach(() => {
+    page = openPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+// Rasterize a module grid (true = dark) with a 4-module quiet zone and
+// decode it with jsQR, the way a phone camera would read the panel
+function decode(modules, scale = 4) {
+    const quiet = 4;
+    const width = (modules.length + quiet * 2) * scale;
+    const pixels = new Uint8ClampedArray(width * width * 4).fill(255);
+    modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (!dark) return;
+        for (let py = 0; py < scale; py++) {
+            for (let px = 0; px < scale; px++) {
+                const offset = (((y + quiet) * scale + py) * width + (x + quiet) * scale + px) * 4;
+                pixels.fill(0, offset, offset + 3);
+            }
+        }
+    }));
+    const result = jsQR(pixels, width, width);
+    return result && result.data;
+}
+
+describe('lcdQrEncode', () => {
+    for (const level of ['L', 'M', 'Q', 'H']) {
+        it(`round-trips text at level ${level}`, () => {
+            const lcdQrEncode = page.get('lcdQrEncode');
+            for (const text of ['HELLO', 'https://example.com/status?host=web-01', 'x'.repeat(300)]) {
+                assert.equal(decode(lcdQrEncode(text, level)), text);
+            }
+        });
+    }
+
+    it('round-trips UTF-8 text', () => {
+        const lcdQrEncode = page.get('lcdQrEncode');
+        const text = 'Température 42 °C — ✓';
+        assert.equal(decode(lcdQrEncode(text, 'M')), text);
+    });
+
+    it('picks the smallest version that fits', () => {
+        const lcdQrEncode = page.get('lcdQrEncode');
+        assert.equal(lcdQrEncode('HELLO', 'M').length, 21);
+        // 14 bytes fill version 1 at M; one more needs version 2
+        assert.equal(lcdQrEncode('x'.repeat(14), 'M').length, 21);
+        assert.equal(lcdQrEncode('x'.repeat(15), 'M').length, 25);
+    });
+
+    it('returns null for text too long for version 40', () => {
+        const lcdQrEncode = page.get('lcdQrEncode');
+        assert.equal(lcdQrEncode('x'.repeat(2953), 'L').length, 177);
+        assert.equal(lcdQrEncode('x'.repeat(2954), 'L'), null);
+    });
+
+    it('computes Reed-Solomon error correction', () => {
+        const lcdQrErrorCorrection = page.get('lcdQrErrorCorrection');
+        // Version 1-M codewords for "01234567" from ISO/IEC 18004 Annex I
+        const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+        assert.deepEqual(Array.from(lcdQrErrorCorrection(data, 10)),
+            [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+    });
+});
+
+describe('lcd-qrcode', () => {
+    // Module grid back from the rendered SVG path
+    function modulesOf(element) {
+        const svg = element.querySelector('svg');
+        const size = Number(svg.getAttribute('viewBox').split(' ')[2]);
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        for (const [, x, y] of svg.querySelector('path').getAttribute('d').matchAll(/M(\d+) (\d+)/g)) {
+            modules[y][x] = true;
+        }
+        return modules;
+    }
+
+    it('renders a scannable code', () => {
+        const element = page.mount('lcd-qrcode', { value: 'https://example.com', level: 'Q' });
+        assert.equal(decode(modulesOf(element)), 'https://example.com');
+    });
+
+    it('shows an empty state without a value', () => {
+        const element = page.mount('lcd-qrcode', {});
+        assert.equal(element.textContent.trim(), 'No data');
+    });
+
+    it('falls back to black on white when the colors lack contrast', () => {
+        const element = page.mount('lcd-qrcode', { value: 'x', color: '#777777', background: '#888888' });
+        assert.ok(element.querySelector('.lcd-qrcode').classList.contains('lcd-qrcode-fallback'));
+        assert.equal(element.querySelector('path').getAttribute('fill'), '#000000');
+        assert.equal(element.querySelector('rect').getAttribute('fill'), '#ffffff');
+    });
+
+    it('swaps light-on-dark colors so modules stay dark', () => {
+        const element = page.mount('lcd-qrcode', { value: 'x', color: '#ffffff', background: '#102030' });
+        assert.equal(element.querySelector('path').getAttribute('fill'), '#102030');
+        assert.equal(element.querySelector('rect').getAttribute('fill'), '#ffffff');
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage } = require('./helpers/page');
+
+let page;
+
+beforeEach(() => {
+    page = openPage({ scripts: ['lcd-core.js', 'components.js', 'daisyui-components.js'] });
+});
+
+afterEach(() => {
+    page.close();
+});
+
+for (const tag of ['lcd-sparkline', 'lcd-daisy-sparkline']) {
+    describe(`${tag} push`, () => {
+        it('keeps samples pushed to an element without seed values', async () => {
+            const element = page.mount(tag, { label: 'CPU' });
+            assert.match(element.textContent, /No data/);
+
+            element.pushMany([1, 2, 3]);
+            await page.settle();
+            element.push(4);
+            await page.settle();
+
+            assert.deepEqual(Array.from(element._history.buffer().toArray()), [1, 2, 3, 4]);
+            assert.doesNotMatch(element.textContent, /No data/);
+        });
+
+        it('appends to the seed values', async () => {
+            const element = page.mount(tag, { values: [1, 2] });
+            element.pushMany([3, 4]);
+            await page.settle();
+            assert.deepEqual(Array.from(element._history.buffer().toArray()), [1, 2, 3, 4]);
+        });
+
+        it('reseeds when the values prop changes', async () => {
+            const element = page.mount(tag, { values: [1, 2] });
+            element.push(3);
+            element.setAttribute('values', '[7, 8]');
+            await page.settle();
+            assert.deepEqual(Array.from(element._history.buffer().toArray()), [7, 8]);
+        });
+
+        it('keeps pushed samples when another field of props changes', async () => {
+            const element = page.mount(tag, { props: { values: [1, 2], label: 'CPU' } });
+            element.push(3);
+            await page.settle();
+
+            element.setAttribute('props', JSON.stringify({ values: [1, 2], label: 'GPU', y_max: 100 }));
+            await page.settle();
+
+            assert.deepEqual(Array.from(element._history.buffer().toArray()), [1, 2, 3]);
+            assert.match(element.textContent, /GPU/);
+        });
+
+        it('reseeds when values inside props change', async () => {
+            const element = page.mount(tag, { props: { values: [1, 2] } });
+            element.push(3);
+            element.setAttribute('props', JSON.stringify({ values: [5, 6] }));
+            await page.settle();
+            assert.deepEqual(Array.from(element._history.buffer().toArray()), [5, 6]);
+        });
+
+        it('keeps only `capacity` samples', async () => {
+            const element = page.mount(tag, { capacity: '3' });
+            element.pushMany([1, 2, 3, 4, 5]);
+            await page.settle();
+            assert.deepEqual(Array.from(element._history.buffer().toArray()), [3, 4, 5]);
+        });
+    });
+}
@@ -0,0 +1,50 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { openPage } = require('./helpers/page');
+
+let page;
+
+beforeEach(() => {
+    page = openPage();
+});
+
+afterEach(() => {
+    page.close();
+});
+
+const delta = element => element.querySelector('.lcd-trend-delta').textContent.replace(/\s+/g, '');
+
+describe('lcd-trend', () => {
+    it('shows the change since the previous reading', async () => {
+        const element = page.mount('lcd-trend', { value: '10', locale: 'en-US' });
+        assert.ok(element.querySelector('.lcd-trend-flat'));
+
+        element.setAttribute('value', '12');
+        await page.settle();
+        assert.ok(element.querySelector('.lcd-trend-up'));
+        assert.equal(delta(element), '▲+2');
+    });
+
+    it('reads flat when the same reading arrives again', async () => {
+        const element = page.mount('lcd-trend', { props: { value: 10, label: 'CPU 1' } });
+        for (const [value, label] of [[12, 'CPU 2'], [12, 'CPU 3']]) {
+            element.setAttribute('props', JSON.stringify({ value, label, locale: 'en-US' }));
+            await page.settle();
+        }
+        assert.ok(element.querySelector('.lcd-trend-flat'));
+        assert.equal(delta(element), '▬0');
+    });
+});
+
+describe('LcdTrend', () => {
+    it('compares against the value at the start of the window', () => {
+        const trend = new (page.get('LcdTrend'))();
+        trend.record(10, 0);
+        trend.record(12, 1000);
+        trend.record(12, 3000);
+        trend.record(15, 5000);
+        assert.deepEqual({ ...trend.delta(2500, 5000) }, { base: 12, delta: 3 });
+    });
+});